@@ -1,11 +1,24 @@
 const { Client, GatewayIntentBits, Events, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder } = require('discord.js');
 const express = require('express');
+const crypto = require('crypto');
 const config = require('./config');
 const db = require('./database/db');
 const ShopifyWebhooks = require('./shopify/webhooks');
 const BotLogger = require('./utils/logger');
 const MessageQueue = require('./queue/messageQueue');
 const OfflineOrderSync = require('./shopify/sync');
+const WebhookInbox = require('./shopify/webhookInbox');
+const OrderRetractions = require('./shopify/orderRetractions');
+const FulfillmentNotifications = require('./shopify/fulfillments');
+const ProductDrops = require('./shopify/drops');
+const InventoryAlerts = require('./shopify/inventory');
+const CheckoutRecovery = require('./shopify/checkouts');
+const PrivacyCompliance = require('./shopify/privacy');
+const ProductCatalog = require('./shopify/catalog');
+const OrderBackfill = require('./shopify/backfill');
+const WebhookSubscriptionManager = require('./shopify/webhookManager');
+const shops = require('./shopify/shops');
+const ShopifyHttpClient = require('./shopify/httpClient');
 const { createPrimaryPlatformEmbed, createEngagementPlatformEmbed } = require('./discord/embeds');
 
 class ShopifyDiscordBot {
@@ -23,7 +36,12 @@ class ShopifyDiscordBot {
 
         // Initialize Express server for webhooks
         this.app = express();
-        this.app.use(express.json());
+        this.app.use(express.json({
+            // Keep the exact request bytes so Shopify's HMAC can be verified
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
 
         // Initialize database
         this.db = db;
@@ -33,10 +51,24 @@ class ShopifyDiscordBot {
 
         // Initialize offline order sync
         this.offlineSync = null;
+        this.pendingCatchUp = null; // Missed orders awaiting admin confirmation after a restart
+        this.startupDowntime = null; // Downtime window measured before the webhook inbox started
 
         // Initialize message queue
         this.messageQueue = null;
 
+        // Initialize webhook inbox
+        this.webhookInbox = null;
+
+        // Initialize webhook feature modules
+        this.orderRetractions = null;
+        this.fulfillments = null;
+        this.productDrops = null;
+        this.inventoryAlerts = null;
+        this.checkoutRecovery = null;
+        this.privacyCompliance = null;
+        this.webhookManager = null;
+
         // Initialize analytics
         this.analytics = null;
 
@@ -100,6 +132,9 @@ class ShopifyDiscordBot {
                     });
                     await this.handleOptOutMarketing(interaction);
                     return; // Ensure we exit early
+                } else if (interaction.customId.startsWith('notify_restock_')) {
+                        // Members subscribe to restock DMs from product posts (no permissions required)
+                        await this.handleNotifyRestock(interaction);
                 } else {
                         console.log(`🔍 DEBUG: Routing other button to handleButtonInteraction`);
                         // All other buttons require server owner permissions
@@ -138,6 +173,8 @@ class ShopifyDiscordBot {
         });
 
         // Shopify webhook endpoint
+        // Verified deliveries are stored in the inbox and acknowledged immediately;
+        // the inbox worker runs the handlers in the background.
         this.app.post('/webhook', async (req, res) => {
             try {
                 const signature = req.headers['x-shopify-hmac-sha256'];
@@ -148,19 +185,43 @@ class ShopifyDiscordBot {
                     return res.status(400).json({ error: 'Missing required headers' });
                 }
 
-                if (!this.shopifyWebhooks) {
+                if (!this.shopifyWebhooks || !this.webhookInbox) {
                     console.warn('❌ Bot not ready yet');
                     return res.status(503).json({ error: 'Bot not ready' });
                 }
 
-                const result = await this.shopifyWebhooks.handleWebhook(topic, req.body, signature);
-                
-                if (result.success) {
-                    res.status(200).json({ success: true });
-                } else {
-                    res.status(400).json({ error: result.error });
+                // Each shop signs with its own secret; unknown shops are rejected
+                const shopDomain = req.headers['x-shopify-shop-domain'];
+                const shop = shops.resolveShop(shopDomain);
+                if (!shop) {
+                    console.warn(`❌ Webhook from unknown shop: ${shopDomain}`);
+                    return res.status(401).json({ error: 'Unknown shop' });
+                }
+
+                if (!this.shopifyWebhooks.verifyWebhook(req.rawBody, signature, shop.webhookSecrets)) {
+                    console.warn('❌ Webhook signature verification failed');
+                    if (this.logger) {
+                        await this.logger.logError(new Error('Invalid webhook signature'), 'Webhook security');
+                    }
+                    return res.status(401).json({ error: 'Invalid signature' });
+                }
+
+                const webhookId = req.headers['x-shopify-webhook-id'] || crypto.randomUUID();
+                const stored = await this.webhookInbox.addDelivery({
+                    webhookId,
+                    eventId: req.headers['x-shopify-event-id'],
+                    topic,
+                    shopDomain: shop.domain,
+                    payload: req.rawBody.toString('utf8')
+                });
+
+                res.status(200).json({ success: true, duplicate: !stored });
+
+                if (stored) {
+                    this.webhookInbox.processSoon();
                 }
             } catch (error) {
+                // Not stored, so let Shopify retry the delivery
                 console.error('❌ Webhook error:', error);
                 if (this.logger) {
                     await this.logger.logError(error, 'Webhook processing');
@@ -200,14 +261,51 @@ class ShopifyDiscordBot {
             await this.logger.init();
             console.log('✅ Logger initialized');
 
-            // Initialize Shopify webhooks
-            this.shopifyWebhooks = new ShopifyWebhooks(this.client, this.logger, this.messageQueue);
-            console.log('✅ Shopify webhooks initialized');
+            // Load shops (per-shop credentials, secrets and channels)
+            try {
+                await shops.init();
+            } catch (error) {
+                console.warn('⚠️ Failed to load shops, using the default shop only:', error);
+            }
 
             // Initialize message queue
             this.messageQueue = new MessageQueue(this.client, this.logger);
             this.offlineSync = new OfflineOrderSync(this.messageQueue, this.logger);
             console.log(' Offline order sync initialized');
+            this.orderBackfill = new OrderBackfill(this.logger);
+
+            // Initialize Shopify webhooks (after the queue so notifications can be queued)
+            this.shopifyWebhooks = new ShopifyWebhooks(this.client, this.logger, this.messageQueue);
+            console.log('✅ Shopify webhooks initialized');
+
+            // Register feature modules with the webhook topic registry
+            this.productCatalog = new ProductCatalog(this.client, this.logger, this.messageQueue);
+            this.productCatalog.registerHandlers(this.shopifyWebhooks.registry);
+            this.orderRetractions = new OrderRetractions(this.client, this.logger, this.messageQueue);
+            this.orderRetractions.registerHandlers(this.shopifyWebhooks.registry);
+            this.fulfillments = new FulfillmentNotifications(this.client, this.logger, this.messageQueue);
+            this.fulfillments.registerHandlers(this.shopifyWebhooks.registry);
+            this.productDrops = new ProductDrops(this.client, this.logger, this.messageQueue);
+            this.productDrops.registerHandlers(this.shopifyWebhooks.registry);
+            this.productDrops.startProcessing();
+            this.inventoryAlerts = new InventoryAlerts(this.client, this.logger, this.messageQueue);
+            this.inventoryAlerts.registerHandlers(this.shopifyWebhooks.registry);
+            this.checkoutRecovery = new CheckoutRecovery(this.client, this.logger, this.messageQueue);
+            this.checkoutRecovery.registerHandlers(this.shopifyWebhooks.registry);
+            this.privacyCompliance = new PrivacyCompliance(this.client, this.logger);
+            this.privacyCompliance.registerHandlers(this.shopifyWebhooks.registry);
+            console.log('✅ Webhook feature modules registered');
+
+            // Webhook subscription manager (diffs Shopify subscriptions against the registry)
+            this.webhookManager = new WebhookSubscriptionManager(this.shopifyWebhooks, this.logger);
+
+            // Measure the downtime before the inbox resumes deliveries (they would move the watermark)
+            await this.measureStartupDowntime();
+
+            // Start webhook inbox processor (also resumes deliveries interrupted by a restart)
+            this.webhookInbox = new WebhookInbox(this.shopifyWebhooks, this.logger);
+            await this.webhookInbox.startProcessing();
+            console.log('✅ Webhook inbox processor started');
             // Create admin panels
             await this.createAdminPanels();
             console.log('✅ Admin panels created');
@@ -228,6 +326,9 @@ class ShopifyDiscordBot {
                 console.warn('⚠️ Offline message processing failed:', error);
             }
 
+            // Catch up on orders missed while the bot was down (in the background, policy from CATCHUP_POLICY)
+            this.runStartupCatchUp();
+
             // Schedule daily and weekly summaries
             this.scheduleSummaries();
             console.log('✅ Summary scheduling started');
@@ -761,11 +862,100 @@ https://levellinked.myshopify.com/`;
                     await this.handleSyncStats(interaction);
                     break;
                 case 'confirm_sync_orders':
+                case 'digest_sync_orders':
                     await this.handleConfirmSyncOrders(interaction);
                     break;
                 case 'cancel_sync_orders':
                     await this.handleCancelSyncOrders(interaction);
                     break;
+                case 'confirm_catchup_orders':
+                case 'digest_catchup_orders':
+                    await this.handleConfirmCatchUp(interaction);
+                    break;
+                case 'cancel_catchup_orders':
+                    await this.handleCancelCatchUp(interaction);
+                    break;
+                case 'view_deliveries':
+                    await this.handleViewDeliveries(interaction);
+                    break;
+                case 'search_deliveries':
+                    await this.handleSearchDeliveries(interaction);
+                    break;
+                case 'open_delivery':
+                    await this.handleOpenDelivery(interaction);
+                    break;
+                case 'view_topic_handlers':
+                    await this.handleViewTopicHandlers(interaction);
+                    break;
+                case 'view_stock_alerts':
+                    await this.handleViewStockAlerts(interaction);
+                    break;
+                case 'toggle_low_stock_alerts':
+                    await this.handleToggleLowStockAlerts(interaction);
+                    break;
+                case 'set_stock_threshold':
+                    await this.handleSetStockThreshold(interaction);
+                    break;
+                case 'view_checkout_recovery':
+                    await this.handleViewCheckoutRecovery(interaction);
+                    break;
+                case 'toggle_checkout_recovery':
+                    await this.handleToggleCheckoutRecovery(interaction);
+                    break;
+                case 'link_customer':
+                    await this.handleLinkCustomer(interaction);
+                    break;
+                case 'sync_webhooks':
+                    await this.handleSyncWebhooks(interaction);
+                    break;
+                case 'view_webhook_subscriptions':
+                    await this.handleViewWebhookSubscriptions(interaction);
+                    break;
+                case 'cycle_order_mode':
+                    await this.handleCycleOrderMode(interaction);
+                    break;
+                case 'cycle_retraction_mode':
+                    await this.handleCycleRetractionMode(interaction);
+                    break;
+                case 'set_order_style':
+                    await this.handleSetOrderStyle(interaction);
+                    break;
+                case 'toggle_shipping_notifications':
+                    await this.handleToggleShippingNotifications(interaction);
+                    break;
+                case 'view_order_routing':
+                    await this.handleViewOrderRouting(interaction);
+                    break;
+                case 'add_routing_rule':
+                    await this.handleAddRoutingRule(interaction);
+                    break;
+                case 'remove_routing_rule':
+                    await this.handleRemoveRoutingRule(interaction);
+                    break;
+                case 'sync_catalog':
+                    await this.handleSyncCatalog(interaction);
+                    break;
+                case 'backfill_orders':
+                    await this.handleBackfillOrders(interaction);
+                    break;
+                case 'view_categories':
+                    await this.handleViewCategories(interaction);
+                    break;
+                case 'save_category':
+                    await this.handleSaveCategory(interaction);
+                    break;
+                case 'reorder_categories':
+                    await this.handleReorderCategories(interaction);
+                    break;
+                case 'set_fallback_category':
+                    await this.handleSetFallbackCategory(interaction);
+                    break;
+                case 'test_category':
+                    await this.handleTestCategory(interaction);
+                    break;
+                case 'delete_category':
+                    await this.handleDeleteCategory(interaction);
+                    break;
                 case 'cancel_send':
                     await this.handleCancelSend(interaction);
                     break;
@@ -796,6 +986,12 @@ https://levellinked.myshopify.com/`;
                         await this.handleSendTemplateToAll(interaction, customId);
                     } else if (customId.startsWith('send_template_to_verified_')) {
                         await this.handleSendTemplateToVerified(interaction, customId);
+                    } else if (customId.startsWith('inspect_delivery_')) {
+                        await this.handleInspectDelivery(interaction, customId);
+                    } else if (customId.startsWith('replay_delivery_')) {
+                        await this.handleReplayDelivery(interaction, customId);
+                    } else if (customId.startsWith('toggle_topic_handler_')) {
+                        await this.handleToggleTopicHandler(interaction, customId);
                     } else {
                         await interaction.reply({ 
                             content: '⚠️ This feature is not implemented yet.', 
@@ -970,9 +1166,14 @@ https://levellinked.myshopify.com/`;
             // Get the final value to display
             const finalSetting = await this.db.get('SELECT value FROM settings WHERE key = ?', ['orders_enabled']);
             const status = finalSetting.value === 'true' ? '✅ ENABLED' : '❌ DISABLED';
+
+            // Offer the notification mode switch alongside the toggle
+            const { MODE_LABELS, RETRACTION_LABELS, getOrderSettings, createOrderModeButtons } = require('./bot_order_handlers');
+            const orderSettings = await getOrderSettings(this.db);
             
             await interaction.reply({ 
-                content: `🛍️ Order notifications: **${status}**`, 
+                content: `🛍️ Order notifications: **${status}**\n🧾 Mode: **${MODE_LABELS[orderSettings.mode]}**\n🚫 Cancelled orders: **${RETRACTION_LABELS[orderSettings.retractionMode]}**\n📦 Shipping posts: **${orderSettings.shippingEnabled ? 'on' : 'off'}**`, 
+                components: [createOrderModeButtons(orderSettings)],
                 ephemeral: true 
             });
 
@@ -1965,6 +2166,45 @@ Focus on actionable insights that can improve business performance.`;
                 case 'dm_single_user_modal':
                     await this.handleDMSingleUserSubmit(interaction);
                     break;
+                case 'search_deliveries_modal':
+                    await this.handleSearchDeliveriesSubmit(interaction);
+                    break;
+                case 'open_delivery_modal':
+                    await this.handleOpenDeliverySubmit(interaction);
+                    break;
+                case 'set_stock_threshold_modal':
+                    await this.handleSetStockThresholdSubmit(interaction);
+                    break;
+                case 'link_customer_modal':
+                    await this.handleLinkCustomerSubmit(interaction);
+                    break;
+                case 'order_style_modal':
+                    await this.handleSetOrderStyleSubmit(interaction);
+                    break;
+                case 'add_routing_rule_modal':
+                    await this.handleAddRoutingRuleSubmit(interaction);
+                    break;
+                case 'remove_routing_rule_modal':
+                    await this.handleRemoveRoutingRuleSubmit(interaction);
+                    break;
+                case 'save_category_modal':
+                    await this.handleSaveCategorySubmit(interaction);
+                    break;
+                case 'reorder_categories_modal':
+                    await this.handleReorderCategoriesSubmit(interaction);
+                    break;
+                case 'set_fallback_category_modal':
+                    await this.handleSetFallbackCategorySubmit(interaction);
+                    break;
+                case 'test_category_modal':
+                    await this.handleTestCategorySubmit(interaction);
+                    break;
+                case 'delete_category_modal':
+                    await this.handleDeleteCategorySubmit(interaction);
+                    break;
+                case 'backfill_orders_modal':
+                    await this.handleBackfillOrdersSubmit(interaction);
+                    break;
                 default:
                     await interaction.reply({ 
                         content: '⚠️ Unknown modal submission.', 
@@ -3558,12 +3798,34 @@ Focus on actionable insights that can improve business performance.`;
                 }
             }
 
+            // Check webhook inbox backlog
+            const webhookInbox = this.webhookInbox
+                ? await this.webhookInbox.getInboxStats()
+                : null;
+
+            // Shopify API: degraded when a shop's last request failed
+            const apiClients = ShopifyHttpClient.getAllStatus();
+            const shopifyStatus = apiClients.length === 0
+                ? 'idle'
+                : apiClients.some(client => client.failing)
+                    ? 'degraded'
+                    : 'operational';
+
+            // API version: warn about deprecated calls and versions Shopify no longer serves
+            const apiVersion = {
+                configured: ShopifyHttpClient.apiVersion,
+                unsupported: apiClients.some(client => client.unsupportedVersion),
+                deprecatedCalls: apiClients.reduce((total, client) => total + client.deprecations.length, 0)
+            };
+            apiVersion.warning = apiVersion.unsupported || apiVersion.deprecatedCalls > 0;
+
             return {
                 status: 'healthy',
                 uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m`,
                 discord: { status: 'operational' },
-                shopify: { status: 'operational' },
+                shopify: { status: shopifyStatus, apiVersion, shops: apiClients },
                 database: { status: databaseStatus },
+                webhookInbox: webhookInbox,
                 lastOrder: lastOrder
             };
         } catch (error) {
@@ -3684,6 +3946,18 @@ Focus on actionable insights that can improve business performance.`;
         if (this.logger) {
             this.logger.stop();
         }
+
+        if (this.webhookInbox) {
+            this.webhookInbox.stopProcessing();
+        }
+
+        if (this.productDrops) {
+            this.productDrops.stopProcessing();
+        }
+
+        if (this.offlineSync) {
+            this.offlineSync.stopHeartbeat();
+        }
         
         if (this.client) {
             this.client.destroy();
@@ -3750,6 +4024,294 @@ Focus on actionable insights that can improve business performance.`;
         await handleCancelSyncOrders.call(this, interaction);
     }
 
+    // Handle view webhook deliveries
+    async handleViewDeliveries(interaction) {
+        const { handleViewDeliveries } = require('./bot_delivery_handlers');
+        await handleViewDeliveries.call(this, interaction);
+    }
+
+    // Handle search webhook deliveries
+    async handleSearchDeliveries(interaction) {
+        const { handleSearchDeliveries } = require('./bot_delivery_handlers');
+        await handleSearchDeliveries.call(this, interaction);
+    }
+
+    // Handle search webhook deliveries modal submission
+    async handleSearchDeliveriesSubmit(interaction) {
+        const { handleSearchDeliveriesSubmit } = require('./bot_delivery_handlers');
+        await handleSearchDeliveriesSubmit.call(this, interaction);
+    }
+
+    // Handle open webhook delivery
+    async handleOpenDelivery(interaction) {
+        const { handleOpenDelivery } = require('./bot_delivery_handlers');
+        await handleOpenDelivery.call(this, interaction);
+    }
+
+    // Handle open webhook delivery modal submission
+    async handleOpenDeliverySubmit(interaction) {
+        const { handleOpenDeliverySubmit } = require('./bot_delivery_handlers');
+        await handleOpenDeliverySubmit.call(this, interaction);
+    }
+
+    // Handle inspect webhook delivery
+    async handleInspectDelivery(interaction, customId) {
+        const { handleInspectDelivery } = require('./bot_delivery_handlers');
+        await handleInspectDelivery.call(this, interaction, customId);
+    }
+
+    // Handle replay webhook delivery
+    async handleReplayDelivery(interaction, customId) {
+        const { handleReplayDelivery } = require('./bot_delivery_handlers');
+        await handleReplayDelivery.call(this, interaction, customId);
+    }
+
+    // Handle view webhook topic handlers
+    async handleViewTopicHandlers(interaction) {
+        const { handleViewTopicHandlers } = require('./bot_topic_handlers');
+        await handleViewTopicHandlers.call(this, interaction);
+    }
+
+    // Handle toggle webhook topic handler
+    async handleToggleTopicHandler(interaction, customId) {
+        const { handleToggleTopicHandler } = require('./bot_topic_handlers');
+        await handleToggleTopicHandler.call(this, interaction, customId);
+    }
+
+    // Handle member restock subscription button
+    async handleNotifyRestock(interaction) {
+        const { handleNotifyRestock } = require('./bot_inventory_handlers');
+        await handleNotifyRestock.call(this, interaction);
+    }
+
+    // Handle view stock alerts button
+    async handleViewStockAlerts(interaction) {
+        const { handleViewStockAlerts } = require('./bot_inventory_handlers');
+        await handleViewStockAlerts.call(this, interaction);
+    }
+
+    // Handle toggle low-stock alerts button
+    async handleToggleLowStockAlerts(interaction) {
+        const { handleToggleLowStockAlerts } = require('./bot_inventory_handlers');
+        await handleToggleLowStockAlerts.call(this, interaction);
+    }
+
+    // Handle set stock threshold button
+    async handleSetStockThreshold(interaction) {
+        const { handleSetStockThreshold } = require('./bot_inventory_handlers');
+        await handleSetStockThreshold.call(this, interaction);
+    }
+
+    // Handle set stock threshold modal submission
+    async handleSetStockThresholdSubmit(interaction) {
+        const { handleSetStockThresholdSubmit } = require('./bot_inventory_handlers');
+        await handleSetStockThresholdSubmit.call(this, interaction);
+    }
+
+    // Handle view checkout recovery button
+    async handleViewCheckoutRecovery(interaction) {
+        const { handleViewCheckoutRecovery } = require('./bot_checkout_handlers');
+        await handleViewCheckoutRecovery.call(this, interaction);
+    }
+
+    // Handle toggle checkout recovery button
+    async handleToggleCheckoutRecovery(interaction) {
+        const { handleToggleCheckoutRecovery } = require('./bot_checkout_handlers');
+        await handleToggleCheckoutRecovery.call(this, interaction);
+    }
+
+    // Handle link customer button
+    async handleLinkCustomer(interaction) {
+        const { handleLinkCustomer } = require('./bot_checkout_handlers');
+        await handleLinkCustomer.call(this, interaction);
+    }
+
+    // Handle link customer modal submission
+    async handleLinkCustomerSubmit(interaction) {
+        const { handleLinkCustomerSubmit } = require('./bot_checkout_handlers');
+        await handleLinkCustomerSubmit.call(this, interaction);
+    }
+
+    // Handle sync webhooks button
+    async handleSyncWebhooks(interaction) {
+        const { handleSyncWebhooks } = require('./bot_subscription_handlers');
+        await handleSyncWebhooks.call(this, interaction);
+    }
+
+    // Handle view webhook subscriptions button
+    async handleViewWebhookSubscriptions(interaction) {
+        const { handleViewWebhookSubscriptions } = require('./bot_subscription_handlers');
+        await handleViewWebhookSubscriptions.call(this, interaction);
+    }
+
+    // Handle cycle order notification mode button
+    async handleCycleOrderMode(interaction) {
+        const { handleCycleOrderMode } = require('./bot_order_handlers');
+        await handleCycleOrderMode.call(this, interaction);
+    }
+
+    // Handle cycle order retraction mode button
+    async handleCycleRetractionMode(interaction) {
+        const { handleCycleRetractionMode } = require('./bot_order_handlers');
+        await handleCycleRetractionMode.call(this, interaction);
+    }
+
+    // Handle toggle shipping milestone posts button
+    async handleToggleShippingNotifications(interaction) {
+        const { handleToggleShippingNotifications } = require('./bot_order_handlers');
+        await handleToggleShippingNotifications.call(this, interaction);
+    }
+
+    // Handle set order style button
+    async handleSetOrderStyle(interaction) {
+        const { handleSetOrderStyle } = require('./bot_order_handlers');
+        await handleSetOrderStyle.call(this, interaction);
+    }
+
+    // Handle order style modal submission
+    async handleSetOrderStyleSubmit(interaction) {
+        const { handleSetOrderStyleSubmit } = require('./bot_order_handlers');
+        await handleSetOrderStyleSubmit.call(this, interaction);
+    }
+
+    // Handle view order routing button
+    async handleViewOrderRouting(interaction) {
+        const { handleViewOrderRouting } = require('./bot_routing_handlers');
+        await handleViewOrderRouting.call(this, interaction);
+    }
+
+    // Handle add routing rule button
+    async handleAddRoutingRule(interaction) {
+        const { handleAddRoutingRule } = require('./bot_routing_handlers');
+        await handleAddRoutingRule.call(this, interaction);
+    }
+
+    // Handle add routing rule modal submission
+    async handleAddRoutingRuleSubmit(interaction) {
+        const { handleAddRoutingRuleSubmit } = require('./bot_routing_handlers');
+        await handleAddRoutingRuleSubmit.call(this, interaction);
+    }
+
+    // Handle remove routing rule button
+    async handleRemoveRoutingRule(interaction) {
+        const { handleRemoveRoutingRule } = require('./bot_routing_handlers');
+        await handleRemoveRoutingRule.call(this, interaction);
+    }
+
+    // Handle remove routing rule modal submission
+    async handleRemoveRoutingRuleSubmit(interaction) {
+        const { handleRemoveRoutingRuleSubmit } = require('./bot_routing_handlers');
+        await handleRemoveRoutingRuleSubmit.call(this, interaction);
+    }
+
+    // Handle view categories button
+    async handleViewCategories(interaction) {
+        const { handleViewCategories } = require('./bot_category_handlers');
+        await handleViewCategories.call(this, interaction);
+    }
+
+    // Handle save category button
+    async handleSaveCategory(interaction) {
+        const { handleSaveCategory } = require('./bot_category_handlers');
+        await handleSaveCategory.call(this, interaction);
+    }
+
+    // Handle save category modal submission
+    async handleSaveCategorySubmit(interaction) {
+        const { handleSaveCategorySubmit } = require('./bot_category_handlers');
+        await handleSaveCategorySubmit.call(this, interaction);
+    }
+
+    // Handle reorder categories button
+    async handleReorderCategories(interaction) {
+        const { handleReorderCategories } = require('./bot_category_handlers');
+        await handleReorderCategories.call(this, interaction);
+    }
+
+    // Handle reorder categories modal submission
+    async handleReorderCategoriesSubmit(interaction) {
+        const { handleReorderCategoriesSubmit } = require('./bot_category_handlers');
+        await handleReorderCategoriesSubmit.call(this, interaction);
+    }
+
+    // Handle set fallback category button
+    async handleSetFallbackCategory(interaction) {
+        const { handleSetFallbackCategory } = require('./bot_category_handlers');
+        await handleSetFallbackCategory.call(this, interaction);
+    }
+
+    // Handle set fallback category modal submission
+    async handleSetFallbackCategorySubmit(interaction) {
+        const { handleSetFallbackCategorySubmit } = require('./bot_category_handlers');
+        await handleSetFallbackCategorySubmit.call(this, interaction);
+    }
+
+    // Handle test category button
+    async handleTestCategory(interaction) {
+        const { handleTestCategory } = require('./bot_category_handlers');
+        await handleTestCategory.call(this, interaction);
+    }
+
+    // Handle test category modal submission
+    async handleTestCategorySubmit(interaction) {
+        const { handleTestCategorySubmit } = require('./bot_category_handlers');
+        await handleTestCategorySubmit.call(this, interaction);
+    }
+
+    // Handle delete category button
+    async handleDeleteCategory(interaction) {
+        const { handleDeleteCategory } = require('./bot_category_handlers');
+        await handleDeleteCategory.call(this, interaction);
+    }
+
+    // Handle delete category modal submission
+    async handleDeleteCategorySubmit(interaction) {
+        const { handleDeleteCategorySubmit } = require('./bot_category_handlers');
+        await handleDeleteCategorySubmit.call(this, interaction);
+    }
+
+    // Handle sync catalog button
+    async handleSyncCatalog(interaction) {
+        const { handleSyncCatalog } = require('./bot_catalog_handlers');
+        await handleSyncCatalog.call(this, interaction);
+    }
+
+    // Handle backfill orders button
+    async handleBackfillOrders(interaction) {
+        const { handleBackfillOrders } = require('./bot_backfill_handlers');
+        await handleBackfillOrders.call(this, interaction);
+    }
+
+    // Handle backfill orders modal submission
+    async handleBackfillOrdersSubmit(interaction) {
+        const { handleBackfillOrdersSubmit } = require('./bot_backfill_handlers');
+        await handleBackfillOrdersSubmit.call(this, interaction);
+    }
+
+    // Measure the downtime window and start the heartbeat
+    async measureStartupDowntime() {
+        const { measureStartupDowntime } = require('./bot_catchup_handlers');
+        await measureStartupDowntime.call(this);
+    }
+
+    // Catch up on orders missed while the bot was down
+    async runStartupCatchUp() {
+        const { runStartupCatchUp } = require('./bot_catchup_handlers');
+        await runStartupCatchUp.call(this);
+    }
+
+    // Handle confirm catch-up button
+    async handleConfirmCatchUp(interaction) {
+        const { handleConfirmCatchUp } = require('./bot_catchup_handlers');
+        await handleConfirmCatchUp.call(this, interaction);
+    }
+
+    // Handle dismiss catch-up button
+    async handleCancelCatchUp(interaction) {
+        const { handleCancelCatchUp } = require('./bot_catchup_handlers');
+        await handleCancelCatchUp.call(this, interaction);
+    }
+
 }
 
 // Create and start the bot
@@ -0,0 +1,160 @@
+// Order Backfill Handlers for Shopify Discord Bot
+
+const { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+
+const BACKFILL_METHODS = ['auto', 'bulk', 'rest'];
+
+// Parse a YYYY-MM-DD date (null if blank, undefined if invalid)
+function parseDate(value) {
+    if (!value) {
+        return null;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return undefined;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Summarize backfill results per shop
+function formatBackfillResults(results) {
+    return results.map(result => result.error
+        ? `• ❌ ${result.shop}: ${result.error}`
+        : `• ✅ ${result.shop} (${result.method}): ${result.orders} orders, ${result.lineItems} line items, ${result.skipped} already known${result.leftForWebhooks ? `, ${result.leftForWebhooks} left for webhooks` : ''}`
+    ).join('\n');
+}
+
+// Handle backfill orders button (opens modal)
+async function handleBackfillOrders(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('backfill_orders_modal')
+            .setTitle('📜 Backfill Historical Orders');
+
+        const sinceInput = new TextInputBuilder()
+            .setCustomId('backfill_since')
+            .setLabel('From date (YYYY-MM-DD)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 2025-01-01')
+            .setRequired(true)
+            .setMaxLength(10);
+
+        const untilInput = new TextInputBuilder()
+            .setCustomId('backfill_until')
+            .setLabel('Until date, exclusive (blank = now)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 2026-01-01')
+            .setRequired(false)
+            .setMaxLength(10);
+
+        const shopInput = new TextInputBuilder()
+            .setCustomId('backfill_shop')
+            .setLabel('Shop domain (blank = every shop)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., levellinked.myshopify.com')
+            .setRequired(false)
+            .setMaxLength(255);
+
+        const methodInput = new TextInputBuilder()
+            .setCustomId('backfill_method')
+            .setLabel('Method: auto, bulk or rest (blank = auto)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('auto')
+            .setRequired(false)
+            .setMaxLength(4);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(sinceInput),
+            new ActionRowBuilder().addComponents(untilInput),
+            new ActionRowBuilder().addComponents(shopInput),
+            new ActionRowBuilder().addComponents(methodInput)
+        );
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Backfill modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open backfill modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle backfill orders modal submission
+async function handleBackfillOrdersSubmit(interaction) {
+    try {
+        const since = parseDate(interaction.fields.getTextInputValue('backfill_since').trim());
+        const until = parseDate(interaction.fields.getTextInputValue('backfill_until').trim());
+        const shopDomain = interaction.fields.getTextInputValue('backfill_shop').trim() || null;
+        const method = interaction.fields.getTextInputValue('backfill_method').trim().toLowerCase() || 'auto';
+
+        if (!since || until === undefined) {
+            await interaction.reply({
+                content: '❌ Dates must look like 2025-01-01.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (until && until <= since) {
+            await interaction.reply({
+                content: '❌ The until date must be after the from date.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!BACKFILL_METHODS.includes(method)) {
+            await interaction.reply({
+                content: `❌ Method must be one of: ${BACKFILL_METHODS.join(', ')}.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!this.orderBackfill || this.orderBackfill.isRunning) {
+            await interaction.reply({
+                content: this.orderBackfill ? '⏳ A backfill is already running.' : '❌ Order backfill not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await interaction.reply({
+            content: `📜 Backfilling orders since **${since.toISOString().split('T')[0]}**${until ? ` until **${until.toISOString().split('T')[0]}**` : ''}. Imported orders are not announced (unpaid orders and orders from the last 48 hours are left for their webhooks). The result will be posted to the log channel.`,
+            ephemeral: true
+        });
+
+        // Bulk operations can take longer than an interaction lives, so report through the logger
+        this.orderBackfill.runAllShops({ since, until, shopDomain, method })
+            .then(async results => {
+                console.log('📜 Order backfill finished');
+                if (this.logger) {
+                    await this.logger.sendStatusUpdate(
+                        'Order Backfill Complete',
+                        formatBackfillResults(results),
+                        results.some(result => result.error) ? '#ffaa00' : '#00ff00'
+                    );
+                }
+            })
+            .catch(async error => {
+                console.error('❌ Order backfill failed:', error);
+                if (this.logger) {
+                    await this.logger.logError(error, 'Order backfill');
+                }
+            });
+
+    } catch (error) {
+        console.error('❌ Error starting order backfill:', error);
+        await interaction.reply({
+            content: `❌ Failed to start backfill: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleBackfillOrders,
+    handleBackfillOrdersSubmit
+};
@@ -0,0 +1,50 @@
+// Product Catalog Handlers for Shopify Discord Bot
+
+const { EmbedBuilder } = require('discord.js');
+
+// Handle sync catalog button
+async function handleSyncCatalog(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!this.productCatalog) {
+            await interaction.editReply({
+                content: '❌ Product catalog not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        console.log('📚 User requested product catalog sync');
+        const results = await this.productCatalog.syncAllShops();
+        const failed = results.filter(result => result.error);
+
+        const embed = new EmbedBuilder()
+            .setTitle('📚 Product Catalog Sync')
+            .setColor(failed.length > 0 ? '#ffaa00' : '#00ff00')
+            .setTimestamp()
+            .addFields(results.slice(0, 25).map(result => ({
+                name: `${result.error ? '❌' : '✅'} ${result.shop}`,
+                value: result.error
+                    ? result.error.slice(0, 1024)
+                    : `• Products: ${result.products}\n• Removed: ${result.removed}\n• Collections: ${result.collections}`,
+                inline: false
+            })));
+
+        await interaction.editReply({
+            embeds: [embed],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error syncing product catalog:', error);
+        await interaction.editReply({
+            content: `❌ Failed to sync product catalog: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleSyncCatalog
+};
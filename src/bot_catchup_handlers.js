@@ -0,0 +1,253 @@
+// Startup Catch-Up Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('./config');
+
+const CATCHUP_POLICIES = ['auto', 'confirm', 'digest', 'off'];
+
+// Readable downtime ("3h 12m")
+function formatDowntime(minutes) {
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// One line per missed order (first 10)
+function formatMissedOrders(orders) {
+    const lines = orders.slice(0, 10).map(order =>
+        `• **${order.order_number}** - ${order.line_items?.[0]?.name || 'Unknown Product'} ($${order.total_price})`
+    );
+    if (orders.length > 10) {
+        lines.push(`... and ${orders.length - 10} more`);
+    }
+    return lines.join('\n');
+}
+
+// Resolve the catch-up policy (unknown values ask for confirmation)
+function getCatchUpPolicy() {
+    const policy = config.features.catchUp.policy;
+    if (!CATCHUP_POLICIES.includes(policy)) {
+        console.warn(`⚠️ Unknown CATCHUP_POLICY "${policy}", asking for confirmation instead`);
+        return 'confirm';
+    }
+    return policy;
+}
+
+// Measure how long the bot was down, then start the heartbeat.
+// Runs from initializeBot before the webhook inbox starts, so orders that redelivered or
+// resumed webhooks claim on startup cannot move the watermark and hide the downtime.
+async function measureStartupDowntime() {
+    this.startupDowntime = null;
+
+    try {
+        if (config.features.catchUp.policy !== 'off') {
+            this.startupDowntime = await this.offlineSync.getDowntimeWindow(config.features.catchUp.maxHours);
+        }
+    } catch (error) {
+        console.error('❌ Failed to measure downtime:', error);
+        if (this.logger) {
+            await this.logger.logError(error, 'Startup catch-up');
+        }
+    }
+
+    this.offlineSync.startHeartbeat();
+}
+
+// Fetch the orders missed while the bot was down and apply the catch-up policy.
+// Runs once from initializeBot, using the window measureStartupDowntime recorded.
+async function runStartupCatchUp() {
+    try {
+        const policy = getCatchUpPolicy();
+        const downtime = this.startupDowntime;
+        this.startupDowntime = null;
+
+        if (policy === 'off') {
+            console.log('ℹ️ Startup catch-up disabled');
+            return;
+        }
+
+        if (!downtime) {
+            console.log('ℹ️ No previous heartbeat or processed order, skipping startup catch-up');
+            return;
+        }
+
+        console.log(`🔄 Bot was down for ${formatDowntime(downtime.downtimeMinutes)}, catching up on orders since ${downtime.since.toISOString()}`);
+        if (downtime.truncated) {
+            console.warn(`⚠️ Downtime exceeds ${config.features.catchUp.maxHours} hours, only catching up on the most recent orders`);
+        }
+
+        // Stays pending (and is retried on the next startup) until a complete catch-up was handled
+        await this.offlineSync.markCatchUpPending(downtime.since);
+
+        const syncResult = await this.offlineSync.syncOrdersBetween(downtime.since, downtime.until);
+        const failedShops = syncResult.shops.filter(shopResult => shopResult.error);
+        const clearPending = async () => {
+            if (failedShops.length === 0) {
+                await this.offlineSync.clearCatchUpPending();
+            }
+        };
+
+        if (failedShops.length > 0 && this.logger) {
+            await this.logger.sendStatusUpdate(
+                'Startup Catch-Up Incomplete',
+                failedShops.map(shopResult => `• ❌ ${shopResult.error}`).join('\n'),
+                '#ffaa00'
+            );
+        }
+
+        if (syncResult.orders.length === 0) {
+            console.log('✅ Startup catch-up: no missed orders');
+            await clearPending();
+            return;
+        }
+
+        const summary = `${syncResult.orders.length} orders came in during ${formatDowntime(downtime.downtimeMinutes)} of downtime`;
+
+        switch (policy) {
+            case 'auto': {
+                await clearPending();
+                const result = await this.offlineSync.processApprovedOrders(syncResult.orders);
+                if (this.logger) {
+                    await this.logger.sendStatusUpdate('Startup Catch-Up Posted', `${summary}: ${result.processedCount} announced, ${result.failedCount} failed, ${result.skippedCount} already delivered by webhook`, '#00ff00');
+                }
+                break;
+            }
+
+            case 'digest': {
+                await clearPending();
+                const result = await this.offlineSync.processApprovedOrders(syncResult.orders, { digest: true });
+                if (this.logger) {
+                    await this.logger.sendStatusUpdate('Startup Catch-Up Digest', `${summary}: ${result.processedCount} posted as one digest, ${result.failedCount} failed, ${result.skippedCount} already delivered by webhook`, '#0099ff');
+                }
+                break;
+            }
+
+            default:
+                this.pendingCatchUp = { orders: syncResult.orders, downtime, incomplete: failedShops.length > 0 };
+                await postCatchUpConfirmation.call(this, syncResult, downtime, summary);
+        }
+
+    } catch (error) {
+        console.error('❌ Startup catch-up failed:', error);
+        if (this.logger) {
+            await this.logger.logError(error, 'Startup catch-up');
+        }
+    }
+}
+
+// Ask the admins whether the missed orders should be announced
+async function postCatchUpConfirmation(syncResult, downtime, summary) {
+    const guild = this.client.guilds.cache.get(config.discord.guildId);
+    const adminChannel = guild && guild.channels.cache.get(config.discord.adminChannelId);
+    if (!adminChannel) {
+        console.warn('⚠️ Admin channel not found, missed orders stay pending until the next startup');
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔄 Missed Orders While Offline')
+        .setDescription(`${summary}. Announce them one by one, or post a single digest?`)
+        .setColor('#ffaa00')
+        .addFields(
+            {
+                name: '📦 Orders',
+                value: formatMissedOrders(syncResult.orders).slice(0, 1024),
+                inline: false
+            },
+            {
+                name: '⏰ Range',
+                value: `${downtime.since.toISOString()} → ${downtime.until.toISOString()}${downtime.truncated ? `\n⚠️ Limited to the last ${config.features.catchUp.maxHours} hours` : ''}`,
+                inline: false
+            }
+        )
+        .setTimestamp();
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('confirm_catchup_orders')
+                .setLabel('✅ Send Notifications')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('digest_catchup_orders')
+                .setLabel('📰 Post Digest')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId('cancel_catchup_orders')
+                .setLabel('❌ Dismiss')
+                .setStyle(ButtonStyle.Danger)
+        );
+
+    await adminChannel.send({ embeds: [embed], components: [buttons] });
+    console.log(`📬 Asked admins to confirm ${syncResult.orders.length} missed orders`);
+}
+
+// Handle confirm catch-up buttons (announce the missed orders one by one, or as one digest)
+async function handleConfirmCatchUp(interaction) {
+    const digest = interaction.customId === 'digest_catchup_orders';
+
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const pending = this.pendingCatchUp;
+        if (!pending) {
+            await interaction.editReply({
+                content: '❌ No pending catch-up found. It may have been handled already.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        this.pendingCatchUp = null;
+        if (!pending.incomplete) {
+            await this.offlineSync.clearCatchUpPending();
+        }
+        await interaction.message.edit({ components: [] });
+
+        // Orders that webhook retries delivered in the meantime are skipped
+        const result = await this.offlineSync.processApprovedOrders(pending.orders, { digest });
+
+        await interaction.editReply({
+            content: `🎉 Catch-up complete: ${result.processedCount} ${digest ? 'posted as one digest' : 'announced'}, ${result.failedCount} failed${result.skippedCount > 0 ? `, ${result.skippedCount} already delivered by webhook` : ''}.`,
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error confirming catch-up:', error);
+        await interaction.editReply({
+            content: '❌ An error occurred while announcing the missed orders.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle dismiss catch-up button (the orders are claimed without being announced)
+async function handleCancelCatchUp(interaction) {
+    try {
+        const pending = this.pendingCatchUp;
+        this.pendingCatchUp = null;
+        if (pending) {
+            await this.offlineSync.dismissOrders(pending.orders);
+            if (!pending.incomplete) {
+                await this.offlineSync.clearCatchUpPending();
+            }
+        }
+
+        await interaction.update({
+            content: `❌ Catch-up dismissed by ${interaction.user.tag}. No notifications were sent.`,
+            components: []
+        });
+
+    } catch (error) {
+        console.error('❌ Error dismissing catch-up:', error);
+        await interaction.followUp({
+            content: '❌ An error occurred while dismissing the catch-up.',
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    measureStartupDowntime,
+    runStartupCatchUp,
+    handleConfirmCatchUp,
+    handleCancelCatchUp
+};
@@ -0,0 +1,360 @@
+// Category Management Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const ProductCategorizer = require('./shopify/categorizer');
+const shops = require('./shopify/shops');
+const { getCategoryColor } = require('./discord/embeds');
+
+const categorizer = new ProductCategorizer();
+
+// Where the categorizer found a product's details
+const SOURCE_LABELS = {
+    catalog: 'Product catalog',
+    shopify: 'Shopify Admin API (not in the catalog yet)',
+    webhooks: 'Stored webhook data (API unavailable)'
+};
+
+// Build the category overview embed and controls
+async function createCategoriesView(db) {
+    const categories = await db.getCategories();
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗂️ Product Categories')
+        .setDescription('Products get the first category (top to bottom) whose tags, product types or collections match. Unmatched products use the fallback category.')
+        .setColor('#9b59b6')
+        .setTimestamp();
+
+    if (categories.length === 0) {
+        embed.addFields({ name: 'No categories', value: 'Use **Save Category** to create one.', inline: false });
+    }
+
+    for (const category of categories.slice(0, 20)) {
+        const rules = [
+            category.shopify_tags ? `Tags: ${category.shopify_tags}` : null,
+            category.product_types ? `Types: ${category.product_types}` : null,
+            category.shopify_collection_id ? `Collections: ${category.shopify_collection_id}` : null
+        ].filter(Boolean);
+
+        embed.addFields({
+            name: `${category.sort_order}. ${category.emoji} ${category.name}${category.fallback_category ? ' (fallback)' : ''}`,
+            value: `${rules.length > 0 ? rules.join('\n') : 'No match rules'}\nColor: ${getCategoryColor(category)}`.slice(0, 1024),
+            inline: false
+        });
+    }
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('save_category')
+                .setLabel('Save Category')
+                .setEmoji('💾')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('reorder_categories')
+                .setLabel('Reorder')
+                .setEmoji('↕️')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(categories.length < 2),
+            new ButtonBuilder()
+                .setCustomId('set_fallback_category')
+                .setLabel('Fallback')
+                .setEmoji('🪂')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('test_category')
+                .setLabel('Test Product')
+                .setEmoji('🧪')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('delete_category')
+                .setLabel('Delete')
+                .setEmoji('🗑️')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(categories.length === 0)
+        );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+// Show a modal with one or more short text inputs
+async function showTextModal(interaction, customId, title, inputs) {
+    const modal = new ModalBuilder()
+        .setCustomId(customId)
+        .setTitle(title);
+
+    modal.addComponents(...inputs.map(input => new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+            .setCustomId(input.id)
+            .setLabel(input.label)
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder(input.placeholder)
+            .setRequired(input.required || false)
+            .setMaxLength(input.maxLength || 200)
+    )));
+
+    await interaction.showModal(modal);
+}
+
+// Handle view categories button
+async function handleViewCategories(interaction) {
+    try {
+        const view = await createCategoriesView(this.db);
+        await interaction.reply({ ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error viewing categories:', error);
+        await interaction.reply({
+            content: '❌ Failed to load categories.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle save category button (opens modal)
+async function handleSaveCategory(interaction) {
+    try {
+        await showTextModal(interaction, 'save_category_modal', '💾 Save Category', [
+            { id: 'category_name', label: 'Name (an existing name edits it)', placeholder: 'e.g., Accessories', required: true, maxLength: 50 },
+            { id: 'category_style', label: 'Emoji and color', placeholder: 'e.g., 🛍️ #4169e1', maxLength: 30 },
+            { id: 'category_tags', label: 'Product tags (comma-separated, - clears)', placeholder: 'e.g., accessory, addon' },
+            { id: 'category_types', label: 'Product types (comma-separated, - clears)', placeholder: 'e.g., Accessories' },
+            { id: 'category_collections', label: 'Collection IDs (comma-separated, - clears)', placeholder: 'e.g., 412345678901' }
+        ]);
+
+    } catch (error) {
+        console.error('❌ Category modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open category modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle save category modal submission
+async function handleSaveCategorySubmit(interaction) {
+    try {
+        const name = interaction.fields.getTextInputValue('category_name').trim();
+        const style = interaction.fields.getTextInputValue('category_style').trim();
+
+        // "🛍️ #4169e1": the color is the part that looks like a hex code
+        const color = (style.match(/#[0-9a-f]{6}\b/i) || [null])[0];
+        const emoji = style.replace(color || '', '').trim() || null;
+
+        const result = await categorizer.saveCategory({
+            name,
+            emoji,
+            color,
+            tags: interaction.fields.getTextInputValue('category_tags').trim(),
+            productTypes: interaction.fields.getTextInputValue('category_types').trim(),
+            collectionIds: interaction.fields.getTextInputValue('category_collections').trim()
+        });
+        console.log(`🗂️ Category ${name} ${result.created ? 'created' : 'updated'}`);
+
+        const view = await createCategoriesView(this.db);
+        await interaction.reply({ content: `✅ Category **${name}** ${result.created ? 'created' : 'updated'}.`, ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error saving category:', error);
+        await interaction.reply({
+            content: `❌ Failed to save category: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle reorder categories button (opens modal)
+async function handleReorderCategories(interaction) {
+    try {
+        await showTextModal(interaction, 'reorder_categories_modal', '↕️ Reorder Categories', [
+            { id: 'category_order', label: 'Names, first checked first (comma-separated)', placeholder: 'e.g., Accessories, Adult Toys', required: true, maxLength: 1000 }
+        ]);
+
+    } catch (error) {
+        console.error('❌ Reorder modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open reorder modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle reorder categories modal submission
+async function handleReorderCategoriesSubmit(interaction) {
+    try {
+        const names = interaction.fields.getTextInputValue('category_order').split(',');
+        await categorizer.reorderCategories(names);
+        console.log('🗂️ Categories reordered');
+
+        const view = await createCategoriesView(this.db);
+        await interaction.reply({ content: '✅ Categories reordered.', ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error reordering categories:', error);
+        await interaction.reply({
+            content: `❌ Failed to reorder categories: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle set fallback category button (opens modal)
+async function handleSetFallbackCategory(interaction) {
+    try {
+        await showTextModal(interaction, 'set_fallback_category_modal', '🪂 Fallback Category', [
+            { id: 'fallback_name', label: 'Category for unmatched items (blank = none)', placeholder: 'e.g., Accessories', maxLength: 50 }
+        ]);
+
+    } catch (error) {
+        console.error('❌ Fallback modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open fallback modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle set fallback category modal submission
+async function handleSetFallbackCategorySubmit(interaction) {
+    try {
+        const name = interaction.fields.getTextInputValue('fallback_name').trim();
+
+        if (!(await categorizer.setFallbackCategory(name))) {
+            await interaction.reply({
+                content: `❌ No category named **${name}**.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const view = await createCategoriesView(this.db);
+        await interaction.reply({
+            content: name ? `✅ **${name}** is now the fallback category.` : '✅ Unmatched products now use the General category.',
+            ...view,
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error setting fallback category:', error);
+        await interaction.reply({
+            content: `❌ Failed to set fallback category: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle delete category button (opens modal)
+async function handleDeleteCategory(interaction) {
+    try {
+        await showTextModal(interaction, 'delete_category_modal', '🗑️ Delete Category', [
+            { id: 'delete_name', label: 'Category name', placeholder: 'e.g., Accessories', required: true, maxLength: 50 }
+        ]);
+
+    } catch (error) {
+        console.error('❌ Delete category modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open delete modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle delete category modal submission
+async function handleDeleteCategorySubmit(interaction) {
+    try {
+        const name = interaction.fields.getTextInputValue('delete_name').trim();
+
+        if (!(await categorizer.deleteCategory(name))) {
+            await interaction.reply({
+                content: `❌ No category named **${name}**.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        console.log(`🗂️ Category ${name} deleted`);
+        const view = await createCategoriesView(this.db);
+        await interaction.reply({ content: `✅ Category **${name}** deleted.`, ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error deleting category:', error);
+        await interaction.reply({
+            content: `❌ Failed to delete category: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle test category button (opens modal)
+async function handleTestCategory(interaction) {
+    try {
+        await showTextModal(interaction, 'test_category_modal', '🧪 Test Categorization', [
+            { id: 'test_product_id', label: 'Shopify product ID', placeholder: 'e.g., 7982301741289', required: true, maxLength: 20 },
+            { id: 'test_shop', label: 'Shop domain (blank = default shop)', placeholder: 'e.g., levellinked.myshopify.com', maxLength: 255 }
+        ]);
+
+    } catch (error) {
+        console.error('❌ Test category modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open test modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle test category modal submission
+async function handleTestCategorySubmit(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const productId = interaction.fields.getTextInputValue('test_product_id').trim();
+        const shopDomain = interaction.fields.getTextInputValue('test_shop').trim();
+        const shop = shops.resolveShop(shopDomain);
+
+        if (!shop) {
+            await interaction.editReply({ content: `❌ Unknown shop \`${shopDomain}\`.` });
+            return;
+        }
+
+        // Always look the product up fresh when testing
+        categorizer.cache.delete(`${shop.domain}:${productId}`);
+        categorizer.cache.delete(`${shop.domain}:${productId}:collections`);
+        const { details, category, reason } = await categorizer.explain(productId, shop);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🧪 ${category.emoji} ${category.name}`)
+            .setDescription(`Product \`${productId}\`${details && details.title ? ` (${details.title})` : ''} matched on **${reason}**.`)
+            .setColor(getCategoryColor(category))
+            .setTimestamp();
+
+        if (details) {
+            embed.addFields(
+                { name: '🏷️ Tags', value: details.tags.join(', ').slice(0, 1024) || 'None', inline: false },
+                { name: '📦 Product Type', value: details.productType || 'None', inline: true },
+                { name: '📚 Collections', value: details.collectionIds.join(', ').slice(0, 1024) || 'None', inline: true },
+                { name: '🔎 Source', value: SOURCE_LABELS[details.source] || details.source, inline: false }
+            );
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        console.error('❌ Error testing categorization:', error);
+        await interaction.editReply({
+            content: `❌ Failed to test categorization: ${error.message}`
+        });
+    }
+}
+
+module.exports = {
+    handleViewCategories,
+    handleSaveCategory,
+    handleSaveCategorySubmit,
+    handleReorderCategories,
+    handleReorderCategoriesSubmit,
+    handleSetFallbackCategory,
+    handleSetFallbackCategorySubmit,
+    handleDeleteCategory,
+    handleDeleteCategorySubmit,
+    handleTestCategory,
+    handleTestCategorySubmit
+};
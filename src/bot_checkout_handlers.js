@@ -0,0 +1,197 @@
+// Checkout Recovery Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const ShopifyAPIService = require('./shopify/api');
+
+// Build the checkout recovery overview embed and controls
+async function createCheckoutRecoveryView(checkoutRecovery, db) {
+    const stats = await checkoutRecovery.getRecoveryStats();
+    const enabled = (await db.getSetting('checkout_recovery_enabled', 'false')) === 'true';
+    const delay = await db.getSetting('checkout_recovery_delay_minutes', '60');
+    const maxDMs = await db.getSetting('checkout_recovery_max_dms', '1');
+    const windowDays = await db.getSetting('checkout_recovery_window_days', '7');
+
+    const embed = new EmbedBuilder()
+        .setTitle('🛒 Checkout Recovery')
+        .setDescription('Recovery DMs for abandoned checkouts of members who linked their Shopify email.')
+        .setColor(enabled ? '#00ff00' : '#808080')
+        .setTimestamp()
+        .addFields(
+            {
+                name: '⚙️ Settings',
+                value: `${enabled ? '✅ Enabled' : '⏸️ Disabled'} • Delay: **${delay} min** • Cap: **${maxDMs}** DM per **${windowDays}** days`,
+                inline: false
+            },
+            { name: '🔗 Linked Members', value: stats.linkedMembers.toString(), inline: true },
+            { name: '🛒 Checkouts', value: stats.checkouts.toString(), inline: true },
+            { name: '💬 DMs Scheduled', value: stats.dmsScheduled.toString(), inline: true },
+            { name: '💰 Recovered', value: `${stats.converted} ($${Number(stats.revenue).toFixed(2)})`, inline: true },
+            { name: '📈 Conversion', value: `${stats.conversionRate}%`, inline: true }
+        );
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('toggle_checkout_recovery')
+                .setLabel(enabled ? 'Disable Recovery DMs' : 'Enable Recovery DMs')
+                .setEmoji(enabled ? '⏸️' : '✅')
+                .setStyle(enabled ? ButtonStyle.Secondary : ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('link_customer')
+                .setLabel('Link Customer')
+                .setEmoji('🔗')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+// Handle view checkout recovery button
+async function handleViewCheckoutRecovery(interaction) {
+    try {
+        if (!this.checkoutRecovery) {
+            await interaction.reply({
+                content: '❌ Checkout recovery not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const view = await createCheckoutRecoveryView(this.checkoutRecovery, this.db);
+        await interaction.reply({ ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error viewing checkout recovery:', error);
+        await interaction.reply({
+            content: '❌ Failed to load checkout recovery.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle toggle checkout recovery button
+async function handleToggleCheckoutRecovery(interaction) {
+    try {
+        const enabled = (await this.db.getSetting('checkout_recovery_enabled', 'false')) !== 'true';
+        await this.db.setSetting('checkout_recovery_enabled', enabled ? 'true' : 'false');
+        console.log(`🛒 Checkout recovery ${enabled ? 'enabled' : 'disabled'}`);
+
+        const view = await createCheckoutRecoveryView(this.checkoutRecovery, this.db);
+        await interaction.update(view);
+
+    } catch (error) {
+        console.error('❌ Error toggling checkout recovery:', error);
+        await interaction.reply({
+            content: '❌ Failed to toggle checkout recovery.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle link customer button (opens modal)
+async function handleLinkCustomer(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('link_customer_modal')
+            .setTitle('🔗 Link Customer');
+
+        const userInput = new TextInputBuilder()
+            .setCustomId('link_user_id')
+            .setLabel('Discord user ID')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 123456789012345678')
+            .setRequired(true)
+            .setMaxLength(20);
+
+        const emailInput = new TextInputBuilder()
+            .setCustomId('link_email')
+            .setLabel('Shopify checkout email (blank = unlink)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., customer@example.com')
+            .setRequired(false)
+            .setMaxLength(254);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(userInput),
+            new ActionRowBuilder().addComponents(emailInput)
+        );
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Link customer modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open link customer modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle link customer modal submission
+async function handleLinkCustomerSubmit(interaction) {
+    try {
+        // The Shopify customer lookup can take longer than Discord's 3-second reply deadline
+        await interaction.deferReply({ ephemeral: true });
+
+        const userId = interaction.fields.getTextInputValue('link_user_id').trim();
+        const email = interaction.fields.getTextInputValue('link_email').trim();
+
+        if (!/^\d{17,20}$/.test(userId)) {
+            await interaction.editReply({
+                content: '❌ Please enter a valid Discord user ID.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!email) {
+            const removed = await this.checkoutRecovery.unlinkCustomer(userId);
+            await interaction.editReply({
+                content: removed ? `✅ <@${userId}> is no longer linked.` : `⚠️ <@${userId}> was not linked.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            await interaction.editReply({
+                content: '❌ Please enter a valid email address.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        await this.checkoutRecovery.linkCustomer(userId, email, interaction.user.id);
+        console.log(`🔗 Linked ${userId} to a checkout email`);
+
+        // Confirm the email belongs to a Shopify customer (the link is kept either way)
+        let customerNote = '';
+        try {
+            const customer = await new ShopifyAPIService().graphql.findCustomerByEmail(email);
+            customerNote = customer
+                ? `\n🛍️ Shopify customer: ${[customer.firstName, customer.lastName].filter(Boolean).join(' ') || 'no name'}, ${customer.numberOfOrders} order(s)`
+                : '\n⚠️ No Shopify customer has this email yet.';
+        } catch (error) {
+            console.warn('⚠️ Could not look up the Shopify customer:', error.message);
+        }
+
+        await interaction.editReply({
+            content: `✅ <@${userId}> linked to **${email}**.${customerNote}`,
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error linking customer:', error);
+        const message = error.message.includes('UNIQUE')
+            ? '❌ That email is already linked to another member.'
+            : `❌ Failed to link customer: ${error.message}`;
+        await interaction.editReply({ content: message, ephemeral: true });
+    }
+}
+
+module.exports = {
+    handleViewCheckoutRecovery,
+    handleToggleCheckoutRecovery,
+    handleLinkCustomer,
+    handleLinkCustomerSubmit
+};
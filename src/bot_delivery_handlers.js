@@ -0,0 +1,329 @@
+// Webhook Delivery History Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder } = require('discord.js');
+
+const STATUS_ICONS = {
+    pending: '⏳',
+    processing: '🔄',
+    processed: '✅',
+    failed: '❌'
+};
+
+// Format a list of deliveries for an embed field
+function formatDeliveryList(deliveries) {
+    return deliveries.map(delivery => {
+        const icon = STATUS_ICONS[delivery.status] || '❓';
+        const extras = [];
+        if (delivery.duplicate_count > 0) extras.push(`${delivery.duplicate_count} dup`);
+        if (delivery.replay_count > 0) extras.push(`${delivery.replay_count} replay`);
+        const suffix = extras.length > 0 ? ` (${extras.join(', ')})` : '';
+        return `${icon} **#${delivery.id}** \`${delivery.topic}\` • ${delivery.received_at}${suffix}`;
+    }).join('\n');
+}
+
+// Buttons shown under every delivery list
+function createDeliveryListButtons() {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('search_deliveries')
+                .setLabel('🔍 Search')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId('open_delivery')
+                .setLabel('📄 Open Delivery')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_deliveries')
+                .setLabel('🔄 Refresh')
+                .setStyle(ButtonStyle.Secondary)
+        );
+}
+
+// Reply with a delivery list embed
+async function replyWithDeliveryList(interaction, title, description, deliveries) {
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(description)
+        .setColor('#4169e1')
+        .setTimestamp();
+
+    embed.addFields({
+        name: '📨 Deliveries',
+        value: deliveries.length > 0 ? formatDeliveryList(deliveries).slice(0, 1024) : 'No deliveries found.',
+        inline: false
+    });
+
+    const stats = await this.webhookInbox.getInboxStats();
+    embed.addFields({
+        name: '📊 Inbox',
+        value: `Pending: ${stats.pending} • Processed: ${stats.processed} • Failed: ${stats.failed}`,
+        inline: false
+    });
+
+    const components = [createDeliveryListButtons()];
+
+    // Quick inspect buttons for the first few deliveries
+    if (deliveries.length > 0) {
+        const inspectButtons = new ActionRowBuilder()
+            .addComponents(deliveries.slice(0, 5).map(delivery =>
+                new ButtonBuilder()
+                    .setCustomId(`inspect_delivery_${delivery.id}`)
+                    .setLabel(`#${delivery.id}`)
+                    .setStyle(ButtonStyle.Secondary)
+            ));
+        components.push(inspectButtons);
+    }
+
+    await interaction.editReply({
+        embeds: [embed],
+        components,
+        ephemeral: true
+    });
+}
+
+// Parse a delivery ID from a custom ID or text input
+function parseDeliveryId(value, prefix = '') {
+    const deliveryId = parseInt(value.replace(prefix, '').replace('#', '').trim(), 10);
+    return Number.isNaN(deliveryId) ? null : deliveryId;
+}
+
+// Handle view deliveries button
+async function handleViewDeliveries(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!this.webhookInbox) {
+            await interaction.editReply({
+                content: '❌ Webhook inbox not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const deliveries = await this.webhookInbox.getRecentDeliveries(10);
+        await replyWithDeliveryList.call(this, interaction, '📨 Webhook Deliveries', 'Most recent Shopify deliveries', deliveries);
+
+    } catch (error) {
+        console.error('❌ Error viewing webhook deliveries:', error);
+        await interaction.editReply({
+            content: '❌ An error occurred while loading webhook deliveries.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle search deliveries button (opens modal)
+async function handleSearchDeliveries(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('search_deliveries_modal')
+            .setTitle('🔍 Search Webhook Deliveries');
+
+        const queryInput = new TextInputBuilder()
+            .setCustomId('delivery_query')
+            .setLabel('Topic, status, webhook/event ID or text')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., orders/create, failed, #1042')
+            .setRequired(true)
+            .setMaxLength(200);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(queryInput));
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Search deliveries modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open search modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle search deliveries modal submission
+async function handleSearchDeliveriesSubmit(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const query = interaction.fields.getTextInputValue('delivery_query');
+        const deliveries = await this.webhookInbox.searchDeliveries(query, 10);
+
+        await replyWithDeliveryList.call(this, interaction, '🔍 Delivery Search', `Results for \`${query}\``, deliveries);
+
+    } catch (error) {
+        console.error('❌ Error searching webhook deliveries:', error);
+        await interaction.editReply({
+            content: '❌ An error occurred while searching deliveries.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle open delivery button (opens modal)
+async function handleOpenDelivery(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('open_delivery_modal')
+            .setTitle('📄 Open Webhook Delivery');
+
+        const idInput = new TextInputBuilder()
+            .setCustomId('delivery_id')
+            .setLabel('Delivery number (from the list)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 42')
+            .setRequired(true)
+            .setMaxLength(12);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(idInput));
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Open delivery modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open delivery modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle open delivery modal submission
+async function handleOpenDeliverySubmit(interaction) {
+    const deliveryId = parseDeliveryId(interaction.fields.getTextInputValue('delivery_id'));
+    await showDelivery.call(this, interaction, deliveryId);
+}
+
+// Handle inspect delivery button
+async function handleInspectDelivery(interaction, customId) {
+    const deliveryId = parseDeliveryId(customId, 'inspect_delivery_');
+    await showDelivery.call(this, interaction, deliveryId);
+}
+
+// Show a delivery's details with its payload attached
+async function showDelivery(interaction, deliveryId) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const delivery = deliveryId ? await this.webhookInbox.getDelivery(deliveryId) : null;
+        if (!delivery) {
+            await interaction.editReply({
+                content: '❌ Delivery not found.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📄 Delivery #${delivery.id}`)
+            .setDescription(`\`${delivery.topic}\``)
+            .setColor(delivery.status === 'failed' ? '#ff0000' : '#4169e1')
+            .setTimestamp();
+
+        embed.addFields(
+            { name: 'Status', value: `${STATUS_ICONS[delivery.status] || '❓'} ${delivery.status}`, inline: true },
+            { name: 'Attempts', value: (delivery.attempts || 0).toString(), inline: true },
+            { name: 'Shop', value: delivery.shop_domain || 'Unknown', inline: true },
+            { name: 'Webhook ID', value: delivery.webhook_id, inline: false },
+            { name: 'Event ID', value: delivery.event_id || 'n/a', inline: false },
+            { name: 'Received', value: delivery.received_at || 'n/a', inline: true },
+            { name: 'Processed', value: delivery.processed_at || 'Not yet', inline: true },
+            { name: 'Duplicates / Replays', value: `${delivery.duplicate_count || 0} / ${delivery.replay_count || 0}`, inline: true }
+        );
+
+        if (delivery.last_error) {
+            embed.addFields({ name: '❌ Last Error', value: delivery.last_error.slice(0, 1024), inline: false });
+        }
+
+        // Pretty-print the payload when it is valid JSON
+        let payloadText = delivery.payload;
+        try {
+            payloadText = JSON.stringify(JSON.parse(delivery.payload), null, 2);
+        } catch (parseError) {
+            // Keep the raw payload
+        }
+
+        const attachment = new AttachmentBuilder(Buffer.from(payloadText, 'utf8'), {
+            name: `delivery_${delivery.id}_${delivery.topic.replace('/', '_')}.json`
+        });
+
+        const buttons = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`replay_delivery_${delivery.id}`)
+                    .setLabel('🔁 Replay Delivery')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('view_deliveries')
+                    .setLabel('⬅️ Back to Deliveries')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+
+        await interaction.editReply({
+            embeds: [embed],
+            files: [attachment],
+            components: [buttons],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error showing webhook delivery:', error);
+        await interaction.editReply({
+            content: '❌ An error occurred while loading the delivery.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle replay delivery button
+async function handleReplayDelivery(interaction, customId) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        const deliveryId = parseDeliveryId(customId, 'replay_delivery_');
+        console.log(`🔁 User requested replay of webhook delivery ${deliveryId}`);
+
+        const result = await this.webhookInbox.replayDelivery(deliveryId);
+
+        if (!result.success) {
+            await interaction.editReply({
+                content: `❌ Replay failed: ${result.error}`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Handlers that had nothing to do, so the admin knows what the replay did not repeat
+        const skipped = (result.skippedHandlers || [])
+            .map(skip => `• \`${skip.name}\`: ${skip.reason}`)
+            .join('\n');
+
+        await interaction.editReply({
+            content: result.handled > 0 || !skipped
+                ? `✅ Delivery #${deliveryId} (\`${result.delivery.topic}\`) replayed successfully.${skipped ? `\n⏭️ Skipped:\n${skipped}` : ''}`
+                : `⚠️ Delivery #${deliveryId} (\`${result.delivery.topic}\`) replayed, but no handler did anything:\n${skipped}`,
+            ephemeral: true
+        });
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Webhook Replayed', `Delivery #${deliveryId} (${result.delivery.topic}) was replayed by an admin`, '#4169e1');
+        }
+
+    } catch (error) {
+        console.error('❌ Error replaying webhook delivery:', error);
+        await interaction.editReply({
+            content: '❌ An error occurred while replaying the delivery.',
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleViewDeliveries,
+    handleSearchDeliveries,
+    handleSearchDeliveriesSubmit,
+    handleOpenDelivery,
+    handleOpenDeliverySubmit,
+    handleInspectDelivery,
+    handleReplayDelivery
+};
@@ -0,0 +1,221 @@
+// Stock Alert Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const config = require('./config');
+
+// Build the stock alerts overview embed and controls
+async function createStockAlertsView(inventoryAlerts) {
+    const stats = await inventoryAlerts.getStockAlertStats();
+
+    const embed = new EmbedBuilder()
+        .setTitle('📦 Stock Alerts')
+        .setDescription('Back-in-stock DMs for subscribed members and "only N left" posts for low stock.')
+        .setColor('#ff8c00')
+        .setTimestamp();
+
+    embed.addFields(
+        {
+            name: '⏳ Low-Stock Posts',
+            value: `${stats.enabled ? '✅ Enabled' : '⏸️ Disabled'} • Default threshold: **${stats.defaultThreshold}** • Channel: <#${config.discord.stockAlertChannelId}>`,
+            inline: false
+        },
+        {
+            name: '🎯 Product Thresholds',
+            value: stats.thresholds.length > 0
+                ? stats.thresholds.map(row => `**${row.title || row.product_id}** (\`${row.product_id}\`): ${row.threshold}`).join('\n').slice(0, 1024)
+                : 'No per-product thresholds set.',
+            inline: false
+        },
+        {
+            name: '🔔 Waiting for Restock',
+            value: stats.subscriptions.length > 0
+                ? stats.subscriptions.map(row => `**${row.title || row.product_id}**: ${row.subscribers} member${row.subscribers === 1 ? '' : 's'}`).join('\n').slice(0, 1024)
+                : 'No active subscriptions.',
+            inline: false
+        }
+    );
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('toggle_low_stock_alerts')
+                .setLabel(stats.enabled ? 'Disable Low-Stock Posts' : 'Enable Low-Stock Posts')
+                .setEmoji(stats.enabled ? '⏸️' : '✅')
+                .setStyle(stats.enabled ? ButtonStyle.Secondary : ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('set_stock_threshold')
+                .setLabel('Set Threshold')
+                .setEmoji('🎯')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+// Handle member "Notify me when back in stock" button (no owner permissions required)
+async function handleNotifyRestock(interaction) {
+    try {
+        const productId = interaction.customId.replace('notify_restock_', '');
+        const userId = interaction.user.id;
+
+        if (!this.inventoryAlerts || !(await this.isDatabaseReady())) {
+            await interaction.reply({
+                content: '⚠️ Stock alerts are not available right now. Please try again later.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Clicking again removes the subscription
+        const subscribed = await this.inventoryAlerts.subscribe(userId, productId);
+        if (!subscribed) {
+            await this.inventoryAlerts.unsubscribe(userId, productId);
+            await interaction.reply({
+                content: '🔕 You will no longer be notified when this product is back in stock.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        let content = '🔔 Got it! We will DM you when this product is back in stock. Click again to unsubscribe.';
+        if (interaction.member?.roles?.cache?.has(config.discord.closedDmsRoleId)) {
+            content += '\n⚠️ You have the closed DMs role, so the bot cannot message you until it is removed.';
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+        console.log(`🔔 User ${userId} subscribed to restock of product ${productId}`);
+
+    } catch (error) {
+        console.error('❌ Error handling restock subscription:', error);
+        await interaction.reply({
+            content: '❌ Failed to update your restock notification. Please try again.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle view stock alerts button
+async function handleViewStockAlerts(interaction) {
+    try {
+        if (!this.inventoryAlerts) {
+            await interaction.reply({
+                content: '❌ Stock alerts not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const view = await createStockAlertsView(this.inventoryAlerts);
+        await interaction.reply({ ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error viewing stock alerts:', error);
+        await interaction.reply({
+            content: '❌ Failed to load stock alerts.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle toggle low-stock alerts button
+async function handleToggleLowStockAlerts(interaction) {
+    try {
+        const enabled = (await this.db.getSetting('low_stock_alerts_enabled', 'false')) !== 'true';
+        await this.db.setSetting('low_stock_alerts_enabled', enabled ? 'true' : 'false');
+        console.log(`⏳ Low-stock posts ${enabled ? 'enabled' : 'disabled'}`);
+
+        const view = await createStockAlertsView(this.inventoryAlerts);
+        await interaction.update(view);
+
+    } catch (error) {
+        console.error('❌ Error toggling low-stock alerts:', error);
+        await interaction.reply({
+            content: '❌ Failed to toggle low-stock posts.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle set stock threshold button (opens modal)
+async function handleSetStockThreshold(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('set_stock_threshold_modal')
+            .setTitle('🎯 Low-Stock Threshold');
+
+        const productInput = new TextInputBuilder()
+            .setCustomId('threshold_product_id')
+            .setLabel('Shopify product ID (blank = default)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 7982301741289')
+            .setRequired(false)
+            .setMaxLength(20);
+
+        const thresholdInput = new TextInputBuilder()
+            .setCustomId('threshold_value')
+            .setLabel('Post when stock drops below (blank = reset)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 5 (0 turns alerts off for the product)')
+            .setRequired(false)
+            .setMaxLength(5);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(productInput),
+            new ActionRowBuilder().addComponents(thresholdInput)
+        );
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Stock threshold modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open threshold modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle set stock threshold modal submission
+async function handleSetStockThresholdSubmit(interaction) {
+    try {
+        const productId = interaction.fields.getTextInputValue('threshold_product_id').trim();
+        const value = interaction.fields.getTextInputValue('threshold_value').trim();
+        const threshold = value === '' ? null : parseInt(value, 10);
+
+        if (threshold !== null && (Number.isNaN(threshold) || threshold < 0)) {
+            await interaction.reply({
+                content: '❌ Threshold must be a whole number of 0 or more.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        let content;
+        if (productId) {
+            await this.inventoryAlerts.setLowStockThreshold(productId, threshold);
+            content = threshold === null
+                ? `✅ Product \`${productId}\` now uses the default threshold.`
+                : `✅ Low-stock threshold for product \`${productId}\` set to **${threshold}**.`;
+        } else {
+            await this.db.setSetting('low_stock_threshold', threshold === null ? '5' : threshold);
+            content = `✅ Default low-stock threshold set to **${threshold === null ? 5 : threshold}**.`;
+        }
+
+        await interaction.reply({ content, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error saving stock threshold:', error);
+        await interaction.reply({
+            content: `❌ Failed to save threshold: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleNotifyRestock,
+    handleViewStockAlerts,
+    handleToggleLowStockAlerts,
+    handleSetStockThreshold,
+    handleSetStockThresholdSubmit
+};
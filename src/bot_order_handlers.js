@@ -0,0 +1,227 @@
+// Order Notification Handlers for Shopify Discord Bot
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const OrderNotifier = require('./shopify/orderNotifier');
+const OrderRetractions = require('./shopify/orderRetractions');
+
+const MODE_LABELS = {
+    single: 'One message per order',
+    per_item: 'One message per item',
+    top_item: 'Top item only'
+};
+
+const RETRACTION_LABELS = {
+    delete: 'Delete the post',
+    edit: 'Mark as cancelled',
+    leave: 'Leave as is'
+};
+
+// Read the order settings shown on the settings buttons
+async function getOrderSettings(db) {
+    const mode = await db.getSetting('order_notification_mode', 'single');
+    const retractionMode = await db.getSetting('order_retraction_mode', 'edit');
+    return {
+        mode: MODE_LABELS[mode] ? mode : 'single',
+        retractionMode: RETRACTION_LABELS[retractionMode] ? retractionMode : 'edit',
+        shippingEnabled: (await db.getSetting('shipping_notifications_enabled', 'false')) === 'true'
+    };
+}
+
+// Build the notification settings buttons (the mode buttons show the current mode, clicking moves to the next)
+function createOrderModeButtons({ mode, retractionMode, shippingEnabled }) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('cycle_order_mode')
+                .setLabel(`Mode: ${MODE_LABELS[mode]}`)
+                .setEmoji('🧾')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('cycle_retraction_mode')
+                .setLabel(`Cancelled: ${RETRACTION_LABELS[retractionMode]}`)
+                .setEmoji('🚫')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('set_order_style')
+                .setLabel('Channel Style')
+                .setEmoji('🎨')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('toggle_shipping_notifications')
+                .setLabel(shippingEnabled ? 'Shipping Posts: On' : 'Shipping Posts: Off')
+                .setEmoji('📦')
+                .setStyle(shippingEnabled ? ButtonStyle.Success : ButtonStyle.Secondary)
+        );
+}
+
+// Handle cycle order notification mode button
+async function handleCycleOrderMode(interaction) {
+    try {
+        const modes = OrderNotifier.MODES;
+        const current = await this.db.getSetting('order_notification_mode', 'single');
+        const next = modes[(modes.indexOf(current) + 1) % modes.length];
+
+        await this.db.setSetting('order_notification_mode', next);
+        console.log(`🧾 Order notification mode set to ${next}`);
+
+        await interaction.update({
+            content: `🧾 Order notification mode: **${MODE_LABELS[next]}**`,
+            components: [createOrderModeButtons(await getOrderSettings(this.db))]
+        });
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Order Notification Mode', `Orders are now announced as: ${MODE_LABELS[next]}`, '#4169e1');
+        }
+
+    } catch (error) {
+        console.error('❌ Error changing order notification mode:', error);
+        await interaction.reply({
+            content: '❌ Failed to change the order notification mode.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle cycle retraction mode button (what happens to the post of a cancelled or refunded order)
+async function handleCycleRetractionMode(interaction) {
+    try {
+        const modes = OrderRetractions.MODES;
+        const current = (await getOrderSettings(this.db)).retractionMode;
+        const next = modes[(modes.indexOf(current) + 1) % modes.length];
+
+        await this.db.setSetting('order_retraction_mode', next);
+        console.log(`🚫 Order retraction mode set to ${next}`);
+
+        await interaction.update({
+            content: `🚫 Cancelled and refunded orders: **${RETRACTION_LABELS[next]}**`,
+            components: [createOrderModeButtons(await getOrderSettings(this.db))]
+        });
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Order Retraction Mode', `Posts of cancelled and refunded orders: ${RETRACTION_LABELS[next]}`, '#4169e1');
+        }
+
+    } catch (error) {
+        console.error('❌ Error changing order retraction mode:', error);
+        await interaction.reply({
+            content: '❌ Failed to change the order retraction mode.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle toggle shipping milestone posts button
+async function handleToggleShippingNotifications(interaction) {
+    try {
+        const enabled = !(await getOrderSettings(this.db)).shippingEnabled;
+        await this.db.setSetting('shipping_notifications_enabled', enabled ? 'true' : 'false');
+        console.log(`📦 Shipping milestone posts ${enabled ? 'enabled' : 'disabled'}`);
+
+        await interaction.update({
+            content: `📦 Shipping milestone posts: **${enabled ? '✅ ENABLED' : '❌ DISABLED'}**`,
+            components: [createOrderModeButtons(await getOrderSettings(this.db))]
+        });
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Shipping Posts Toggled', `Shipped and delivered milestones ${enabled ? 'are now posted' : 'are no longer posted'}`, enabled ? '#00ff00' : '#ff0000');
+        }
+
+    } catch (error) {
+        console.error('❌ Error toggling shipping milestone posts:', error);
+        await interaction.reply({
+            content: '❌ Failed to toggle shipping milestone posts.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle set order style button (opens modal)
+async function handleSetOrderStyle(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('order_style_modal')
+            .setTitle('🎨 Order Post Style');
+
+        const channelInput = new TextInputBuilder()
+            .setCustomId('style_channel_id')
+            .setLabel('Channel ID (blank = every channel)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 1396453757922971741')
+            .setRequired(false)
+            .setMaxLength(20);
+
+        const styleInput = new TextInputBuilder()
+            .setCustomId('style_value')
+            .setLabel('Style: embed or text (blank = default)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('embed')
+            .setRequired(false)
+            .setMaxLength(5);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(channelInput),
+            new ActionRowBuilder().addComponents(styleInput)
+        );
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Order style modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open order style modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle order style modal submission
+async function handleSetOrderStyleSubmit(interaction) {
+    try {
+        const channelId = interaction.fields.getTextInputValue('style_channel_id').trim();
+        const style = interaction.fields.getTextInputValue('style_value').trim().toLowerCase();
+
+        if (style && !OrderNotifier.STYLES.includes(style)) {
+            await interaction.reply({
+                content: `❌ Style must be one of: ${OrderNotifier.STYLES.join(', ')}.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        let content;
+        if (channelId) {
+            if (style) {
+                await this.db.setSetting(`order_notification_style:${channelId}`, style);
+                content = `✅ Orders in <#${channelId}> are now posted as **${style}**.`;
+            } else {
+                await this.db.run('DELETE FROM settings WHERE key = ?', [`order_notification_style:${channelId}`]);
+                content = `✅ <#${channelId}> now uses the default order style.`;
+            }
+        } else {
+            await this.db.setSetting('order_notification_style', style || 'embed');
+            content = `✅ Default order style set to **${style || 'embed'}**.`;
+        }
+
+        console.log(`🎨 ${content}`);
+        await interaction.reply({ content, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error saving order style:', error);
+        await interaction.reply({
+            content: `❌ Failed to save order style: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    MODE_LABELS,
+    RETRACTION_LABELS,
+    getOrderSettings,
+    createOrderModeButtons,
+    handleCycleOrderMode,
+    handleCycleRetractionMode,
+    handleToggleShippingNotifications,
+    handleSetOrderStyle,
+    handleSetOrderStyleSubmit
+};
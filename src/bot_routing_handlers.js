@@ -0,0 +1,230 @@
+// Order Routing Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const OrderRouter = require('./shopify/orderRouter');
+const shops = require('./shopify/shops');
+
+const router = new OrderRouter();
+
+// Build the order routing overview embed and controls
+async function createOrderRoutingView() {
+    const rules = await router.listRules();
+
+    const embed = new EmbedBuilder()
+        .setTitle('🧭 Order Routing')
+        .setDescription('Order notifications go to every channel whose rule matches. With no match they go to the fallback channel, or the shop\'s notification channel.')
+        .setColor('#4169e1')
+        .setTimestamp()
+        .addFields(
+            {
+                name: `📋 Rules (${rules.length})`,
+                value: rules.length > 0
+                    ? rules.map(rule => `\`#${rule.id}\` ${router.describeRule(rule)}`).join('\n').slice(0, 1024)
+                    : 'No rules yet, every order goes to the shop\'s notification channel.',
+                inline: false
+            },
+            {
+                name: '🏪 Shop Channels',
+                value: shops.getShops().map(shop => `${shop.domain} → <#${shop.notificationChannelId}>`).join('\n').slice(0, 1024),
+                inline: false
+            }
+        );
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('add_routing_rule')
+                .setLabel('Add Rule')
+                .setEmoji('➕')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('remove_routing_rule')
+                .setLabel('Remove Rule')
+                .setEmoji('🗑️')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(rules.length === 0)
+        );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+// Handle view order routing button
+async function handleViewOrderRouting(interaction) {
+    try {
+        const view = await createOrderRoutingView();
+        await interaction.reply({ ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error viewing order routing:', error);
+        await interaction.reply({
+            content: '❌ Failed to load order routing rules.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle add routing rule button (opens modal)
+async function handleAddRoutingRule(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('add_routing_rule_modal')
+            .setTitle('➕ Add Routing Rule');
+
+        const typeInput = new TextInputBuilder()
+            .setCustomId('rule_type')
+            .setLabel('Type: category, total_over, tag or fallback')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('category')
+            .setRequired(true)
+            .setMaxLength(20);
+
+        const valueInput = new TextInputBuilder()
+            .setCustomId('rule_value')
+            .setLabel('Category, amount or tag (blank for fallback)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., Accessories, 100 or limited')
+            .setRequired(false)
+            .setMaxLength(100);
+
+        const channelInput = new TextInputBuilder()
+            .setCustomId('rule_channel_id')
+            .setLabel('Channel ID')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 1396453757922971741')
+            .setRequired(true)
+            .setMaxLength(20);
+
+        const shopInput = new TextInputBuilder()
+            .setCustomId('rule_shop')
+            .setLabel('Shop domain (blank = every shop)')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., levellinked.myshopify.com')
+            .setRequired(false)
+            .setMaxLength(255);
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(typeInput),
+            new ActionRowBuilder().addComponents(valueInput),
+            new ActionRowBuilder().addComponents(channelInput),
+            new ActionRowBuilder().addComponents(shopInput)
+        );
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Routing rule modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open routing rule modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle add routing rule modal submission
+async function handleAddRoutingRuleSubmit(interaction) {
+    try {
+        const ruleType = interaction.fields.getTextInputValue('rule_type').trim().toLowerCase();
+        const matchValue = interaction.fields.getTextInputValue('rule_value').trim();
+        const channelId = interaction.fields.getTextInputValue('rule_channel_id').trim();
+        const shopDomain = interaction.fields.getTextInputValue('rule_shop').trim();
+
+        if (!/^\d+$/.test(channelId)) {
+            await interaction.reply({
+                content: '❌ Channel ID must be a number.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const shop = shopDomain ? shops.getShop(shopDomain) : null;
+        if (shopDomain && !shop) {
+            await interaction.reply({
+                content: `❌ Unknown shop \`${shopDomain}\`.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const ruleId = await router.addRule({
+            ruleType,
+            matchValue,
+            channelId,
+            shopDomain: shop ? shop.domain : null
+        });
+        console.log(`🧭 Routing rule #${ruleId} added (${ruleType} → ${channelId})`);
+
+        const view = await createOrderRoutingView();
+        await interaction.reply({ content: `✅ Rule \`#${ruleId}\` added.`, ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error adding routing rule:', error);
+        await interaction.reply({
+            content: `❌ Failed to add rule: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle remove routing rule button (opens modal)
+async function handleRemoveRoutingRule(interaction) {
+    try {
+        const modal = new ModalBuilder()
+            .setCustomId('remove_routing_rule_modal')
+            .setTitle('🗑️ Remove Routing Rule');
+
+        const idInput = new TextInputBuilder()
+            .setCustomId('rule_id')
+            .setLabel('Rule number')
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder('e.g., 3')
+            .setRequired(true)
+            .setMaxLength(10);
+
+        modal.addComponents(new ActionRowBuilder().addComponents(idInput));
+
+        await interaction.showModal(modal);
+
+    } catch (error) {
+        console.error('❌ Remove routing rule modal error:', error);
+        await interaction.reply({
+            content: '❌ Failed to open remove rule modal.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle remove routing rule modal submission
+async function handleRemoveRoutingRuleSubmit(interaction) {
+    try {
+        const ruleId = parseInt(interaction.fields.getTextInputValue('rule_id').replace('#', '').trim(), 10);
+        const removed = !Number.isNaN(ruleId) && await router.removeRule(ruleId);
+
+        if (!removed) {
+            await interaction.reply({
+                content: '❌ No rule with that number.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        console.log(`🧭 Routing rule #${ruleId} removed`);
+
+        const view = await createOrderRoutingView();
+        await interaction.reply({ content: `✅ Rule \`#${ruleId}\` removed.`, ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error removing routing rule:', error);
+        await interaction.reply({
+            content: `❌ Failed to remove rule: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleViewOrderRouting,
+    handleAddRoutingRule,
+    handleAddRoutingRuleSubmit,
+    handleRemoveRoutingRule,
+    handleRemoveRoutingRuleSubmit
+};
@@ -0,0 +1,162 @@
+// Webhook Subscription Handlers for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+// Format a list for an embed field
+function formatList(items, emptyText) {
+    return items.length > 0 ? items.join('\n').slice(0, 1024) : emptyText;
+}
+
+// Build the subscription overview of one shop
+function createSubscriptionEmbed(diff, showShop) {
+    const title = showShop ? `🔗 Webhook Subscriptions — ${diff.shop}` : '🔗 Webhook Subscriptions';
+    const description = `Delivery address: ${diff.address ? `\`${diff.address}\`` : '⚠️ `PUBLIC_URL` not set'}`;
+
+    if (diff.error) {
+        return new EmbedBuilder()
+            .setTitle(title)
+            .setDescription(`${description}\n❌ Could not load subscriptions: ${diff.error}`)
+            .setColor('#ff0000')
+            .setTimestamp();
+    }
+
+    const inSync = diff.missing.length === 0 && diff.extra.length === 0;
+    const embed = new EmbedBuilder()
+        .setTitle(title)
+        .setDescription(description)
+        .setColor(inSync ? '#00ff00' : '#ffaa00')
+        .setTimestamp()
+        .addFields(
+            {
+                name: `✅ Active (${diff.active.length})`,
+                value: formatList(diff.active.map(subscription => `\`${subscription.topic}\``), 'None'),
+                inline: false
+            },
+            {
+                name: `➕ Missing (${diff.missing.length})`,
+                value: formatList(diff.missing.map(topic => `\`${topic}\``), 'None, every handled topic is subscribed'),
+                inline: false
+            },
+            {
+                name: `➖ Unhandled (${diff.extra.length})`,
+                value: formatList(diff.extra.map(subscription => `\`${subscription.topic}\``), 'None'),
+                inline: false
+            }
+        );
+
+    if (diff.foreign.length > 0) {
+        embed.addFields({
+            name: `🌐 Other Addresses (${diff.foreign.length})`,
+            value: formatList(diff.foreign.map(subscription => `\`${subscription.topic}\` → ${subscription.address}`), 'None'),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// Handle view webhook subscriptions button
+async function handleViewWebhookSubscriptions(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!this.webhookManager) {
+            await interaction.editReply({
+                content: '❌ Webhook subscription manager not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // One embed per shop (Discord allows up to 10 per message)
+        const diffs = (await this.webhookManager.getAllSubscriptionDiffs()).slice(0, 10);
+        const address = this.webhookManager.getWebhookAddress();
+        const inSync = diffs.every(diff => !diff.error && diff.missing.length === 0 && diff.extra.length === 0);
+        const embeds = diffs.map(diff => createSubscriptionEmbed(diff, diffs.length > 1));
+
+        const buttons = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId('sync_webhooks')
+                    .setLabel('Sync Webhooks')
+                    .setEmoji('🔄')
+                    .setStyle(ButtonStyle.Primary)
+                    .setDisabled(inSync || !address)
+            );
+
+        await interaction.editReply({
+            embeds,
+            components: [buttons],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error viewing webhook subscriptions:', error);
+        await interaction.editReply({
+            content: `❌ Failed to load webhook subscriptions: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+// Handle sync webhooks button
+async function handleSyncWebhooks(interaction) {
+    try {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!this.webhookManager) {
+            await interaction.editReply({
+                content: '❌ Webhook subscription manager not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const results = (await this.webhookManager.syncSubscriptions()).slice(0, 10);
+        const embeds = results.map(result => {
+            const embed = new EmbedBuilder()
+                .setTitle(results.length > 1 ? `🔄 Webhook Sync Complete — ${result.shop}` : '🔄 Webhook Sync Complete')
+                .setColor(result.errors.length > 0 ? '#ffaa00' : '#00ff00')
+                .setTimestamp()
+                .addFields(
+                    {
+                        name: `➕ Created (${result.created.length})`,
+                        value: formatList(result.created.map(topic => `\`${topic}\``), 'Nothing to create'),
+                        inline: false
+                    },
+                    {
+                        name: `➖ Deleted (${result.deleted.length})`,
+                        value: formatList(result.deleted.map(topic => `\`${topic}\``), 'Nothing to delete'),
+                        inline: false
+                    }
+                );
+
+            if (result.errors.length > 0) {
+                embed.addFields({
+                    name: `❌ Errors (${result.errors.length})`,
+                    value: formatList(result.errors, 'None'),
+                    inline: false
+                });
+            }
+
+            return embed;
+        });
+
+        await interaction.editReply({
+            embeds,
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('❌ Error syncing webhooks:', error);
+        await interaction.editReply({
+            content: `❌ Failed to sync webhooks: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleViewWebhookSubscriptions,
+    handleSyncWebhooks
+};
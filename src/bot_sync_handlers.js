@@ -2,6 +2,27 @@
 
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 
+// Icons for Shopify API error codes (anything else is shown as a plain failure)
+const API_ERROR_ICONS = {
+    rate_limited: '⏳',
+    timeout: '⌛',
+    network: '📡',
+    unauthorized: '🔑',
+    server_error: '🔥'
+};
+
+// Summarize per-shop sync results (only worth showing with several shops or a failure)
+function formatShopSummary(shopResults = []) {
+    if (shopResults.length <= 1 && !shopResults.some(shopResult => shopResult.error)) {
+        return '';
+    }
+
+    return shopResults.map(shopResult => shopResult.error
+        ? `• ${API_ERROR_ICONS[shopResult.errorCode] || '❌'} ${shopResult.error}`
+        : `• ✅ ${shopResult.shop}: ${shopResult.ordersFound} found, ${shopResult.orders.length} to process`
+    ).join('\n');
+}
+
 // Handle sync offline orders button
 async function handleSyncOfflineOrders(interaction) {
     try {
@@ -29,9 +50,12 @@ async function handleSyncOfflineOrders(interaction) {
             return;
         }
 
+        // Per-shop breakdown (each shop is synced independently)
+        const shopSummary = formatShopSummary(syncResult.shops);
+
         if (syncResult.ordersToProcess === 0) {
             await interaction.editReply({
-                content: `✅ No new orders found in the last 24 hours.\n\n📊 Sync Results:\n• Orders found: ${syncResult.ordersFound}\n• Orders to process: ${syncResult.ordersToProcess}\n\nAll orders are up to date!`,
+                content: `✅ No new orders found in the last 24 hours.\n\n📊 Sync Results:\n• Orders found: ${syncResult.ordersFound}\n• Orders to process: ${syncResult.ordersToProcess}${shopSummary ? `\n\n🏪 Shops:\n${shopSummary}` : ''}\n\nAll orders are up to date!`,
                 ephemeral: true
             });
             return;
@@ -68,6 +92,14 @@ async function handleSyncOfflineOrders(interaction) {
             inline: false
         });
 
+        if (shopSummary) {
+            embed.addFields({
+                name: '🏪 Shops',
+                value: shopSummary.slice(0, 1024),
+                inline: false
+            });
+        }
+
         // Create confirmation buttons
         const buttons = new ActionRowBuilder()
             .addComponents(
@@ -75,6 +107,10 @@ async function handleSyncOfflineOrders(interaction) {
                     .setCustomId('confirm_sync_orders')
                     .setLabel('✅ Send Notifications')
                     .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId('digest_sync_orders')
+                    .setLabel('📰 Post Digest')
+                    .setStyle(ButtonStyle.Primary),
                 new ButtonBuilder()
                     .setCustomId('cancel_sync_orders')
                     .setLabel('❌ Cancel')
@@ -90,7 +126,7 @@ async function handleSyncOfflineOrders(interaction) {
     } catch (error) {
         console.error('❌ Error in sync offline orders:', error);
         await interaction.editReply({
-            content: '❌ An error occurred while syncing orders. Please try again.',
+            content: `❌ An error occurred while syncing orders: ${error.message}`,
             ephemeral: true
         });
     }
@@ -153,12 +189,14 @@ async function handleSyncStats(interaction) {
     }
 }
 
-// Handle confirm sync orders button
+// Handle confirm sync orders buttons (one notification per order, or one digest)
 async function handleConfirmSyncOrders(interaction) {
+    const digest = interaction.customId === 'digest_sync_orders';
+
     try {
         await interaction.deferReply({ ephemeral: true });
         
-        console.log('✅ User confirmed sync orders');
+        console.log(`✅ User confirmed sync orders${digest ? ' as a digest' : ''}`);
         
         // Get stored data
         const userData = this.pendingData.get(interaction.user.id);
@@ -176,11 +214,11 @@ async function handleConfirmSyncOrders(interaction) {
         this.pendingData.delete(interaction.user.id);
 
         // Start processing
-        const result = await this.offlineSync.processApprovedOrders(orders);
+        const result = await this.offlineSync.processApprovedOrders(orders, { digest });
         
         const embed = new EmbedBuilder()
             .setTitle('🎉 Sync Complete!')
-            .setDescription('Offline orders have been processed and notifications sent.')
+            .setDescription(`Offline orders have been processed and ${digest ? 'posted as a single digest' : 'notifications sent'}.`)
             .setColor('#00ff00')
             .setTimestamp();
 
@@ -195,9 +233,14 @@ async function handleConfirmSyncOrders(interaction) {
                 value: result.failedCount.toString(),
                 inline: true
             },
+            {
+                name: '⏭️ Already Processed',
+                value: result.skippedCount.toString(),
+                inline: true
+            },
             {
                 name: '📬 Notifications',
-                value: 'Sent to notification channel with 2-second delays',
+                value: digest ? 'One summary sent to the notification channel' : 'Sent to notification channel with 2-second delays',
                 inline: false
             }
         );
@@ -0,0 +1,108 @@
+// Webhook Topic Handler Controls for Shopify Discord Bot
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+// Build the handler overview embed and toggle buttons
+async function createTopicHandlersView(registry) {
+    const handlers = await registry.listHandlers();
+
+    const embed = new EmbedBuilder()
+        .setTitle('🧩 Webhook Topic Handlers')
+        .setDescription('Handlers registered for Shopify webhook topics. Click a handler to enable or disable it.')
+        .setColor('#4169e1')
+        .setTimestamp();
+
+    const lines = handlers.map(handler => {
+        const status = handler.enabled ? '✅' : '⏸️';
+        const flags = [];
+        if (handler.requiresPaid) flags.push('paid only');
+        if (handler.required) flags.push('required');
+        const suffix = flags.length > 0 ? ` _(${flags.join(', ')})_` : '';
+        return `${status} **${handler.name}** • \`${handler.patterns.join('`, `')}\`${suffix}\n${handler.description}`;
+    });
+
+    embed.addFields({
+        name: '📡 Handlers',
+        value: lines.length > 0 ? lines.join('\n').slice(0, 1024) : 'No handlers registered.',
+        inline: false
+    });
+
+    // One toggle button per handler, five per row (Discord allows five rows)
+    const toggleable = handlers.filter(handler => !handler.required).slice(0, 25);
+    const components = [];
+    for (let i = 0; i < toggleable.length; i += 5) {
+        components.push(new ActionRowBuilder()
+            .addComponents(toggleable.slice(i, i + 5).map(handler =>
+                new ButtonBuilder()
+                    .setCustomId(`toggle_topic_handler_${handler.name}`)
+                    .setLabel(handler.name)
+                    .setEmoji(handler.enabled ? '✅' : '⏸️')
+                    .setStyle(handler.enabled ? ButtonStyle.Success : ButtonStyle.Secondary)
+            )));
+    }
+
+    return { embeds: [embed], components };
+}
+
+// Handle view topic handlers button
+async function handleViewTopicHandlers(interaction) {
+    try {
+        if (!this.shopifyWebhooks) {
+            await interaction.reply({
+                content: '❌ Shopify webhooks not initialized. Please try again.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const view = await createTopicHandlersView(this.shopifyWebhooks.registry);
+        await interaction.reply({ ...view, ephemeral: true });
+
+    } catch (error) {
+        console.error('❌ Error viewing topic handlers:', error);
+        await interaction.reply({
+            content: '❌ Failed to load webhook topic handlers.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle toggle topic handler button
+async function handleToggleTopicHandler(interaction, customId) {
+    try {
+        const name = customId.replace('toggle_topic_handler_', '');
+        const registry = this.shopifyWebhooks.registry;
+
+        const entry = registry.getHandler(name);
+        if (!entry) {
+            await interaction.reply({
+                content: `❌ Unknown webhook handler "${name}".`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const enabled = !(await registry.isEnabled(entry));
+        await registry.setEnabled(name, enabled);
+        console.log(`🧩 Webhook handler ${name} ${enabled ? 'enabled' : 'disabled'}`);
+
+        const view = await createTopicHandlersView(registry);
+        await interaction.update(view);
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Webhook Handler Toggled', `Handler **${name}** ${enabled ? 'enabled' : 'disabled'}`, enabled ? '#00ff00' : '#ff0000');
+        }
+
+    } catch (error) {
+        console.error('❌ Error toggling topic handler:', error);
+        await interaction.reply({
+            content: `❌ Failed to toggle handler: ${error.message}`,
+            ephemeral: true
+        });
+    }
+}
+
+module.exports = {
+    handleViewTopicHandlers,
+    handleToggleTopicHandler
+};
@@ -1,5 +1,20 @@
 require('dotenv').config({ path: '../.env' });
 
+// Parse SHOPIFY_SHOPS (JSON array of additional storefronts)
+// e.g. [{"domain":"second.myshopify.com","accessToken":"...","webhookSecrets":["..."],"notificationChannelId":"...","storefrontDomain":"second.com"}]
+function parseShops(value) {
+    if (!value) {
+        return [];
+    }
+    try {
+        const shops = JSON.parse(value);
+        return Array.isArray(shops) ? shops.filter(shop => shop && shop.domain) : [];
+    } catch (error) {
+        console.error('❌ SHOPIFY_SHOPS is not valid JSON, ignoring:', error.message);
+        return [];
+    }
+}
+
 module.exports = {
     // Discord Configuration
     discord: {
@@ -7,6 +22,10 @@ module.exports = {
         guildId: process.env.GUILD_ID || '1378340070305828956',
         serverOwnerId: process.env.SERVER_OWNER_ID,
         notificationChannelId: process.env.NOTIFICATION_CHANNEL_ID || '1396453757922971741',
+        shippingChannelId: process.env.SHIPPING_CHANNEL_ID || process.env.NOTIFICATION_CHANNEL_ID || '1396453757922971741',
+        dropsChannelId: process.env.DROPS_CHANNEL_ID || process.env.NOTIFICATION_CHANNEL_ID || '1396453757922971741',
+        dropsRoleId: process.env.DROPS_ROLE_ID, // Optional role pinged on new drops
+        stockAlertChannelId: process.env.STOCK_ALERT_CHANNEL_ID || process.env.NOTIFICATION_CHANNEL_ID || '1396453757922971741',
         adminChannelId: process.env.ADMIN_CHANNEL_ID || '1408813204519522444',
         logChannelId: process.env.LOG_CHANNEL_ID || '1408813204519522444', // Same as admin for now
         closedDmsRoleId: process.env.CLOSED_DMS_ROLE_ID || '1379198285591609385',
@@ -17,7 +36,21 @@ module.exports = {
     shopify: {
         shopUrl: process.env.SHOPIFY_SHOP_URL || 'levellinked.myshopify.com',
         accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
-        webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET
+        storefrontDomain: process.env.SHOPIFY_STOREFRONT_DOMAIN || process.env.SHOPIFY_SHOP_URL || 'levellinked.myshopify.com',
+        webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET,
+        // All secrets accepted during verification (current first, then any still rotating out)
+        webhookSecrets: [
+            process.env.SHOPIFY_WEBHOOK_SECRET,
+            ...(process.env.SHOPIFY_WEBHOOK_SECRETS || '').split(',')
+        ].map(secret => (secret || '').trim()).filter((secret, index, all) => secret && all.indexOf(secret) === index),
+        // Additional shops (the shop above is always seeded as the default)
+        shops: parseShops(process.env.SHOPIFY_SHOPS),
+        // Admin API client
+        api: {
+            version: process.env.SHOPIFY_API_VERSION || '2025-07', // Admin API version (YYYY-MM, keep within Shopify's 12-month support window)
+            timeoutMs: parseInt(process.env.SHOPIFY_API_TIMEOUT_MS) || 15000,
+            maxRetries: parseInt(process.env.SHOPIFY_API_MAX_RETRIES) || 4 // Retries after 429, 5xx and timeouts
+        }
     },
 
     // Bot Features
@@ -35,6 +68,13 @@ module.exports = {
             showOrderTotal: false,
             showShippingAddress: false
         },
+        catchUp: {
+            policy: process.env.CATCHUP_POLICY || 'confirm', // auto, confirm, digest or off: what to do with orders missed while offline
+            maxHours: parseInt(process.env.CATCHUP_MAX_HOURS) || 72 // Longest downtime caught up on at startup
+        },
+        drops: {
+            debounceSeconds: parseInt(process.env.DROPS_DEBOUNCE_SECONDS) || 120 // Wait for the update burst after a create
+        },
         engagement: {
             enabled: process.env.ENABLE_ENGAGEMENT !== 'false'
         },
@@ -55,6 +95,7 @@ module.exports = {
     // Server Configuration
     server: {
         port: parseInt(process.env.PORT) || 10000,
+        publicUrl: process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL, // Base URL Shopify delivers webhooks to
         databasePath: process.env.DATABASE_URL || './data/bot.db',
         environment: process.env.NODE_ENV || 'development'
     },
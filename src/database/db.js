@@ -6,6 +6,7 @@ class Database {
     constructor() {
         this.db = null;
         this.dbPath = path.resolve(config.server.databasePath);
+        this.announcingOrders = new Set(); // Orders claimed by claimOrder and not yet released
     }
 
     // Initialize database connection
@@ -138,8 +139,8 @@ class Database {
     async trackOrder(orderData) {
         const sql = `
             INSERT OR REPLACE INTO orders 
-            (id, email, order_number, total_price, currency, financial_status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+            (id, email, order_number, total_price, currency, financial_status, shop_domain, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
         `;
         return await this.run(sql, [
             orderData.id,
@@ -147,18 +148,148 @@ class Database {
             orderData.order_number,
             orderData.total_price,
             orderData.currency,
-            orderData.financial_status
+            orderData.financial_status,
+            orderData.shop_domain || null
         ]);
     }
 
+    // Store one line item of an order (kept once, the first time it is seen)
+    async trackOrderLineItem(lineItem) {
+        return await this.run(`
+            INSERT OR IGNORE INTO order_line_items (line_item_id, order_id, shop_domain, product_id, variant_id, title, quantity, price, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime(?))
+        `, [
+            lineItem.id,
+            lineItem.orderId,
+            lineItem.shopDomain || null,
+            lineItem.productId || null,
+            lineItem.variantId || null,
+            lineItem.title,
+            parseInt(lineItem.quantity) || 1,
+            lineItem.price || null,
+            lineItem.createdAt || null
+        ]);
+    }
+
+    // Store the line items of a REST/webhook order payload
+    async trackOrderLineItems(orderData, shopDomain = null) {
+        for (const lineItem of orderData.line_items || []) {
+            await this.trackOrderLineItem({
+                id: String(lineItem.id),
+                orderId: String(orderData.id),
+                shopDomain,
+                productId: lineItem.product_id ? String(lineItem.product_id) : null,
+                variantId: lineItem.variant_id ? String(lineItem.variant_id) : null,
+                title: lineItem.name || lineItem.title,
+                quantity: lineItem.quantity,
+                price: lineItem.price,
+                createdAt: orderData.created_at || new Date().toISOString()
+            });
+        }
+    }
+
+    async getOrder(orderId) {
+        return await this.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+    }
+
+    async markOrderCancelled(orderId, cancelledAt, reason) {
+        const sql = `
+            UPDATE orders 
+            SET financial_status = 'cancelled', cancelled_at = ?, cancel_reason = ? 
+            WHERE id = ?
+        `;
+        return await this.run(sql, [cancelledAt || new Date().toISOString(), reason || null, orderId]);
+    }
+
+    // Store a refund once (returns false when it was already recorded) and total the order's refunds
+    async recordOrderRefund(refundId, orderId, amount, refundedAt) {
+        refundedAt = refundedAt || new Date().toISOString();
+
+        const inserted = await this.run(`
+            INSERT OR IGNORE INTO order_refunds (refund_id, order_id, amount, refunded_at)
+            VALUES (?, ?, ?, ?)
+        `, [String(refundId), String(orderId), amount, refundedAt]);
+
+        if (inserted.changes > 0) {
+            const sql = `
+                UPDATE orders 
+                SET refunded_amount = (SELECT COALESCE(SUM(amount), 0) FROM order_refunds WHERE order_id = ?), refunded_at = ? 
+                WHERE id = ?
+            `;
+            await this.run(sql, [String(orderId), refundedAt, orderId]);
+        }
+
+        return inserted.changes > 0;
+    }
+
+    async getOrderRefundedAmount(orderId) {
+        const row = await this.get(
+            'SELECT COALESCE(SUM(amount), 0) AS total FROM order_refunds WHERE order_id = ?',
+            [String(orderId)]
+        );
+        return parseFloat(row.total) || 0;
+    }
+
+    async markOrderFulfilled(orderId, fulfilledAt, latencyMinutes) {
+        const sql = `
+            UPDATE orders 
+            SET fulfilled_at = COALESCE(fulfilled_at, ?), 
+                fulfillment_latency_minutes = COALESCE(fulfillment_latency_minutes, ?) 
+            WHERE id = ?
+        `;
+        return await this.run(sql, [fulfilledAt, latencyMinutes, orderId]);
+    }
+
     // Processed orders tracking methods
-    async markOrderProcessed(orderId, orderNumber, syncSource = 'webhook') {
+    // (notificationSent: the order is claimed without an announcement, e.g. backfilled or dismissed)
+    async markOrderProcessed(orderId, orderNumber, syncSource = 'webhook', shopDomain = null, notificationSent = false) {
         const sql = `
             INSERT OR IGNORE INTO processed_orders 
-            (shopify_order_id, order_number, sync_source, processed_at) 
-            VALUES (?, ?, ?, datetime('now'))
+            (shopify_order_id, order_number, sync_source, shop_domain, notification_sent, processed_at) 
+            VALUES (?, ?, ?, ?, ?, datetime('now'))
         `;
-        return await this.run(sql, [orderId, orderNumber, syncSource]);
+        return await this.run(sql, [orderId, orderNumber, syncSource, shopDomain, notificationSent]);
+    }
+
+    // Claim an order for announcing: 'new' for an order seen for the first time, 'retry' for an order
+    // claimed before whose notification never went out, or null when it was announced already or is
+    // being announced right now. Release the claim with releaseOrderClaim once the notification is queued.
+    async claimOrder(orderId, orderNumber, syncSource = 'webhook', shopDomain = null) {
+        const key = String(orderId);
+        if (this.announcingOrders.has(key)) {
+            return null;
+        }
+        this.announcingOrders.add(key);
+
+        try {
+            const inserted = await this.markOrderProcessed(orderId, orderNumber, syncSource, shopDomain);
+            if (inserted.changes > 0) {
+                return 'new';
+            }
+
+            const claim = await this.get(
+                'SELECT notification_sent FROM processed_orders WHERE shopify_order_id = ?',
+                [orderId]
+            );
+            if (claim && !claim.notification_sent) {
+                return 'retry';
+            }
+        } catch (error) {
+            this.announcingOrders.delete(key);
+            throw error;
+        }
+
+        this.announcingOrders.delete(key);
+        return null;
+    }
+
+    releaseOrderClaim(orderId) {
+        this.announcingOrders.delete(String(orderId));
+    }
+
+    // Undo markOrderProcessed when recording a claimed order failed, so it can be retried
+    async unmarkOrderProcessed(orderId) {
+        return await this.run('DELETE FROM processed_orders WHERE shopify_order_id = ?', [orderId]);
     }
 
     async isOrderProcessed(orderId) {
@@ -169,6 +300,15 @@ class Database {
         return !!result;
     }
 
+    // Whether an order was announced (or deliberately left unannounced)
+    async isOrderNotified(orderId) {
+        const result = await this.get(
+            'SELECT shopify_order_id FROM processed_orders WHERE shopify_order_id = ? AND notification_sent = TRUE', 
+            [orderId]
+        );
+        return !!result;
+    }
+
     async getLastProcessedOrder() {
         return await this.get(`
             SELECT shopify_order_id, order_number, processed_at 
@@ -204,6 +344,22 @@ class Database {
         return await this.run(sql, [orderId]);
     }
 
+    // Product methods
+    // Handle, image, tags, product type and collections of a product from the products catalog,
+    // else from what other product webhook handlers stored before the catalog was synced
+    async getCatalogProduct(productId) {
+        return await this.get(`
+            SELECT handle, image_url, tags, product_type, collection_ids FROM products WHERE product_id = ?
+            UNION ALL
+            SELECT handle, image_url, tags, NULL, NULL FROM inventory_items WHERE product_id = ? AND handle IS NOT NULL
+            UNION ALL
+            SELECT handle, json_extract(payload, '$.image.src'), json_extract(payload, '$.tags'),
+                json_extract(payload, '$.product_type'), NULL
+            FROM product_drops WHERE product_id = ? AND handle IS NOT NULL
+            LIMIT 1
+        `, [String(productId), String(productId), String(productId)]) || null;
+    }
+
     // Analytics methods
     async recordEvent(metricType, sourceType, metadata = null, revenue = 0) {
         const sql = `
@@ -223,9 +379,22 @@ class Database {
         `, [date]);
     }
 
+    // Settings methods
+    async getSetting(key, defaultValue = null) {
+        const row = await this.get('SELECT value FROM settings WHERE key = ?', [key]);
+        return row ? row.value : defaultValue;
+    }
+
+    async setSetting(key, value) {
+        return await this.run(`
+            INSERT INTO settings (key, value) VALUES (?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value
+        `, [key, String(value)]);
+    }
+
     // Category methods
     async getCategories() {
-        return await this.all('SELECT * FROM categories ORDER BY name');
+        return await this.all('SELECT * FROM categories ORDER BY sort_order, id');
     }
 
     // Template methods
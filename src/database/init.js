@@ -45,8 +45,11 @@ class DatabaseInitializer {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 name TEXT NOT NULL,
                 emoji TEXT NOT NULL,
-                shopify_collection_id TEXT,
-                shopify_tags TEXT,
+                color TEXT, -- Embed color for order posts
+                shopify_collection_id TEXT, -- Comma-separated collection IDs
+                shopify_tags TEXT, -- Comma-separated product tags
+                product_types TEXT, -- Comma-separated product types
+                sort_order INTEGER DEFAULT 0, -- First matching category wins
                 fallback_category BOOLEAN DEFAULT FALSE,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`,
@@ -121,7 +124,7 @@ class DatabaseInitializer {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 shopify_id TEXT UNIQUE,
                 email TEXT,
-                order_number TEXT UNIQUE,
+                order_number TEXT, -- Not unique: every shop starts at #1001
                 total_price DECIMAL(10,2),
                 currency TEXT,
                 financial_status TEXT,
@@ -199,7 +202,212 @@ class DatabaseInitializer {
                 order_number TEXT NOT NULL,
                 processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 notification_sent BOOLEAN DEFAULT FALSE,
-                sync_source TEXT DEFAULT 'webhook' -- 'webhook' or 'api_sync'
+                sync_source TEXT DEFAULT 'webhook' -- 'webhook', 'api_sync' or 'backfill'
+            )`,
+
+            // Webhook inbox table (verified deliveries awaiting background processing)
+            `CREATE TABLE IF NOT EXISTS webhook_inbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id TEXT UNIQUE NOT NULL,
+                topic TEXT NOT NULL,
+                shop_domain TEXT,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending', -- 'pending', 'processing', 'processed' or 'failed'
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 5,
+                last_error TEXT,
+                received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                processed_at DATETIME
+            )`,
+
+            // Posted messages table (Discord messages sent for an order or other reference)
+            `CREATE TABLE IF NOT EXISTS posted_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                reference_type TEXT NOT NULL,
+                reference_id TEXT NOT NULL,
+                queue_message_id INTEGER,
+                channel_id TEXT NOT NULL,
+                message_id TEXT NOT NULL,
+                status TEXT DEFAULT 'posted', -- 'posted', 'edited' or 'deleted'
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME
+            )`,
+
+            // Order fulfillments table (shipping milestones and timing)
+            `CREATE TABLE IF NOT EXISTS order_fulfillments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                fulfillment_id TEXT UNIQUE NOT NULL,
+                order_id TEXT NOT NULL,
+                status TEXT,
+                shipment_status TEXT,
+                tracking_company TEXT,
+                shipped_at DATETIME,
+                delivered_at DATETIME,
+                shipped_notified BOOLEAN DEFAULT FALSE,
+                delivered_notified BOOLEAN DEFAULT FALSE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME
+            )`,
+
+            // Product drops table (new products waiting to be announced)
+            `CREATE TABLE IF NOT EXISTS product_drops (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id TEXT UNIQUE NOT NULL,
+                title TEXT,
+                handle TEXT,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending', -- 'waiting' (unpublished), 'pending', 'announced' or 'skipped'
+                skip_reason TEXT,
+                announce_after DATETIME,
+                announced_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME
+            )`,
+
+            // Inventory items table (maps Shopify inventory items to products)
+            `CREATE TABLE IF NOT EXISTS inventory_items (
+                inventory_item_id TEXT PRIMARY KEY,
+                product_id TEXT NOT NULL,
+                variant_id TEXT,
+                product_title TEXT,
+                variant_title TEXT,
+                handle TEXT,
+                quantity INTEGER DEFAULT 0, -- Variant total from the last product webhook
+                updated_at DATETIME
+            )`,
+
+            // Inventory levels table (available stock per item and location)
+            `CREATE TABLE IF NOT EXISTS inventory_levels (
+                inventory_item_id TEXT NOT NULL,
+                location_id TEXT NOT NULL,
+                available INTEGER DEFAULT 0,
+                updated_at DATETIME,
+                PRIMARY KEY (inventory_item_id, location_id)
+            )`,
+
+            // Restock subscriptions table (members waiting for a back-in-stock DM)
+            `CREATE TABLE IF NOT EXISTS restock_subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                product_id TEXT NOT NULL,
+                status TEXT DEFAULT 'active', -- 'active', 'notified' or 'skipped'
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                notified_at DATETIME,
+                UNIQUE(user_id, product_id)
+            )`,
+
+            // Stock thresholds table (per-product low-stock overrides)
+            `CREATE TABLE IF NOT EXISTS stock_thresholds (
+                product_id TEXT PRIMARY KEY,
+                threshold INTEGER NOT NULL,
+                updated_at DATETIME
+            )`,
+
+            // Customer links table (Discord members linked to their Shopify email)
+            `CREATE TABLE IF NOT EXISTS customer_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT UNIQUE NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                linked_by TEXT,
+                linked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Abandoned checkouts table (recovery DMs for linked members)
+            `CREATE TABLE IF NOT EXISTS abandoned_checkouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                checkout_token TEXT UNIQUE NOT NULL,
+                checkout_id TEXT,
+                user_id TEXT NOT NULL,
+                email TEXT,
+                total_price DECIMAL(10,2),
+                currency TEXT,
+                recovery_url TEXT,
+                status TEXT DEFAULT 'scheduled', -- 'scheduled', 'converted', 'completed', 'capped', 'opted_out', 'closed_dms' or 'not_member'
+                order_id TEXT,
+                converted_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME
+            )`,
+
+            // Privacy requests table (audit trail for Shopify's mandatory privacy webhooks)
+            `CREATE TABLE IF NOT EXISTS privacy_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                topic TEXT NOT NULL, -- 'customers/data_request', 'customers/redact' or 'shop/redact'
+                shop_domain TEXT,
+                customer_id TEXT,
+                email_hash TEXT, -- SHA-256 of the email, never the email itself
+                shopify_request_id TEXT,
+                summary TEXT, -- JSON counts of rows found or removed per table
+                export_data TEXT, -- JSON export for data requests
+                status TEXT DEFAULT 'completed',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                completed_at DATETIME
+            )`,
+
+            // Shops table (one row per storefront, keyed by X-Shopify-Shop-Domain)
+            `CREATE TABLE IF NOT EXISTS shops (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                shop_domain TEXT UNIQUE NOT NULL, -- e.g. levellinked.myshopify.com
+                name TEXT,
+                access_token TEXT,
+                webhook_secrets TEXT, -- JSON array, current secret first
+                notification_channel_id TEXT,
+                storefront_domain TEXT,
+                is_active BOOLEAN DEFAULT TRUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME
+            )`,
+
+            // Order routing rules table (which channels order notifications are posted to)
+            `CREATE TABLE IF NOT EXISTS order_routing_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_type TEXT NOT NULL, -- 'category', 'total_over', 'tag' or 'fallback'
+                match_value TEXT, -- Category name, amount or product tag (unused for fallback)
+                channel_id TEXT NOT NULL,
+                shop_domain TEXT, -- NULL applies to every shop
+                is_active BOOLEAN DEFAULT TRUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`,
+
+            // Products table (local catalog, from a full Admin API sync and product webhooks)
+            `CREATE TABLE IF NOT EXISTS products (
+                product_id TEXT PRIMARY KEY,
+                shop_domain TEXT,
+                title TEXT,
+                handle TEXT,
+                tags TEXT, -- Comma-separated, as Shopify sends them
+                product_type TEXT,
+                vendor TEXT,
+                status TEXT,
+                image_url TEXT,
+                images TEXT, -- JSON array of image URLs
+                variants TEXT, -- JSON array of { id, title, sku, price, inventory_item_id }
+                collection_ids TEXT, -- Comma-separated, refreshed by full syncs only
+                shopify_updated_at DATETIME,
+                synced_at DATETIME
+            )`,
+
+            // Order line items table (filled by the historical order backfill)
+            `CREATE TABLE IF NOT EXISTS order_line_items (
+                line_item_id TEXT PRIMARY KEY,
+                order_id TEXT NOT NULL, -- orders.id (Shopify order ID)
+                shop_domain TEXT,
+                product_id TEXT,
+                variant_id TEXT,
+                title TEXT,
+                quantity INTEGER DEFAULT 1,
+                price DECIMAL(10,2),
+                created_at DATETIME -- When the order was placed
+            )`,
+
+            // Order refunds table (one row per Shopify refund, so a redelivered refund is counted once)
+            `CREATE TABLE IF NOT EXISTS order_refunds (
+                refund_id TEXT PRIMARY KEY,
+                order_id TEXT NOT NULL, -- orders.id (Shopify order ID)
+                amount DECIMAL(10,2) DEFAULT 0,
+                refunded_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`
         ];
 
@@ -210,6 +418,87 @@ class DatabaseInitializer {
         console.log('✅ All tables created successfully');
     }
 
+    // Add columns introduced after a table was first created
+    async migrateTables() {
+        const columns = [
+            // Webhook delivery history (dedupe and replay tracking)
+            ['webhook_inbox', 'event_id', 'TEXT'],
+            ['webhook_inbox', 'duplicate_count', 'INTEGER DEFAULT 0'],
+            ['webhook_inbox', 'last_duplicate_at', 'DATETIME'],
+            ['webhook_inbox', 'replay_count', 'INTEGER DEFAULT 0'],
+            ['webhook_inbox', 'last_replayed_at', 'DATETIME'],
+            ['webhook_inbox', 'completed_handlers', 'TEXT'], // JSON array of handler names, skipped on retry
+
+            // Queue references (which order a notification belongs to)
+            ['message_queue', 'reference_type', 'TEXT'],
+            ['message_queue', 'reference_id', 'TEXT'],
+
+            // Order cancellation and refund tracking
+            ['orders', 'cancelled_at', 'DATETIME'],
+            ['orders', 'cancel_reason', 'TEXT'],
+            ['orders', 'refunded_at', 'DATETIME'],
+            ['orders', 'refunded_amount', 'DECIMAL(10,2) DEFAULT 0'],
+
+            // Order fulfillment timing
+            ['orders', 'fulfilled_at', 'DATETIME'],
+            ['orders', 'fulfillment_latency_minutes', 'INTEGER'],
+
+            // Multi-store support
+            ['orders', 'shop_domain', 'TEXT'],
+            ['processed_orders', 'shop_domain', 'TEXT'],
+            ['product_drops', 'shop_domain', 'TEXT'],
+            ['inventory_items', 'shop_domain', 'TEXT'],
+            ['inventory_items', 'image_url', 'TEXT'],
+            ['inventory_items', 'tags', 'TEXT'],
+            ['inventory_items', 'levels_synced_at', 'DATETIME'], // Every location's level loaded from the API
+            ['categories', 'color', 'TEXT'],
+            ['categories', 'product_types', 'TEXT'],
+            ['categories', 'sort_order', 'INTEGER DEFAULT 0']
+        ];
+
+        for (const [table, column, definition] of columns) {
+            const existingColumns = await this.allSql(`PRAGMA table_info(${table})`);
+            if (!existingColumns.some(existing => existing.name === column)) {
+                await this.runSql(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                console.log(`✅ Added column ${table}.${column}`);
+            }
+        }
+
+        await this.dropOrderNumberUniqueness();
+
+        // Backfilled orders are claimed without ever being announced, so there is no notification to retry
+        await this.runSql(`UPDATE processed_orders SET notification_sent = TRUE WHERE sync_source = 'backfill' AND notification_sent = FALSE`);
+
+        console.log('✅ All table migrations applied successfully');
+    }
+
+    // Older databases declared orders.order_number UNIQUE, which lets one shop's order
+    // replace another's with the same number. SQLite cannot drop a constraint, so rebuild.
+    async dropOrderNumberUniqueness() {
+        const table = await this.allSql(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'orders'`);
+        if (table.length === 0 || !/order_number TEXT UNIQUE/.test(table[0].sql)) {
+            return;
+        }
+
+        const rebuildSql = table[0].sql
+            .replace(/CREATE TABLE (IF NOT EXISTS )?"?orders"?/, 'CREATE TABLE orders_rebuild')
+            .replace('order_number TEXT UNIQUE', 'order_number TEXT');
+
+        await this.runSql('BEGIN TRANSACTION');
+        try {
+            await this.runSql('DROP TABLE IF EXISTS orders_rebuild');
+            await this.runSql(rebuildSql);
+            await this.runSql('INSERT INTO orders_rebuild SELECT * FROM orders');
+            await this.runSql('DROP TABLE orders');
+            await this.runSql('ALTER TABLE orders_rebuild RENAME TO orders');
+            await this.runSql('COMMIT');
+            console.log('✅ Rebuilt orders table without unique order numbers');
+        } catch (error) {
+            await this.runSql('ROLLBACK');
+            throw error;
+        }
+    }
+
     // Create indexes for performance
     async createIndexes() {
         const indexes = [
@@ -228,7 +517,21 @@ class DatabaseInitializer {
             'CREATE INDEX IF NOT EXISTS idx_processed_orders_number ON processed_orders(order_number)',
             'CREATE INDEX IF NOT EXISTS idx_polls_active ON polls(is_active)',
             'CREATE INDEX IF NOT EXISTS idx_giveaways_active ON giveaways(is_active)',
-            'CREATE INDEX IF NOT EXISTS idx_referral_rewards_user ON referral_rewards(user_id)'
+            'CREATE INDEX IF NOT EXISTS idx_referral_rewards_user ON referral_rewards(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status ON webhook_inbox(status, next_attempt_at)',
+            'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_topic ON webhook_inbox(topic)',
+            'CREATE INDEX IF NOT EXISTS idx_webhook_inbox_event ON webhook_inbox(event_id, topic)',
+            'CREATE INDEX IF NOT EXISTS idx_message_queue_reference ON message_queue(reference_type, reference_id)',
+            'CREATE INDEX IF NOT EXISTS idx_posted_messages_reference ON posted_messages(reference_type, reference_id)',
+            'CREATE INDEX IF NOT EXISTS idx_order_fulfillments_order ON order_fulfillments(order_id)',
+            'CREATE INDEX IF NOT EXISTS idx_product_drops_status ON product_drops(status, announce_after)',
+            'CREATE INDEX IF NOT EXISTS idx_inventory_items_product ON inventory_items(product_id)',
+            'CREATE INDEX IF NOT EXISTS idx_restock_subscriptions_product ON restock_subscriptions(product_id, status)',
+            'CREATE INDEX IF NOT EXISTS idx_abandoned_checkouts_user ON abandoned_checkouts(user_id, created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_orders_shop ON orders(shop_domain)',
+            'CREATE INDEX IF NOT EXISTS idx_products_shop ON products(shop_domain)',
+            'CREATE INDEX IF NOT EXISTS idx_order_line_items_order ON order_line_items(order_id)',
+            'CREATE INDEX IF NOT EXISTS idx_order_line_items_product ON order_line_items(product_id)'
         ];
 
         for (const indexSql of indexes) {
@@ -250,7 +553,18 @@ class DatabaseInitializer {
             ['dm_delay_minutes', '65'],
             ['referral_tier_1', '5'],
             ['referral_tier_2', '10'],
-            ['referral_tier_3', '15']
+            ['referral_tier_3', '15'],
+            ['order_retraction_mode', 'edit'], // 'delete', 'edit' or 'leave' for cancelled/refunded orders
+            ['order_notification_mode', 'single'], // 'single', 'per_item' or 'top_item'
+            ['order_notification_style', 'embed'], // 'embed' or 'text', overridable per channel
+            ['shipping_notifications_enabled', 'false'],
+            ['drops_enabled', 'false'],
+            ['low_stock_alerts_enabled', 'false'],
+            ['low_stock_threshold', '5'],
+            ['checkout_recovery_enabled', 'false'],
+            ['checkout_recovery_delay_minutes', '60'],
+            ['checkout_recovery_max_dms', '1'], // Per member within the window below
+            ['checkout_recovery_window_days', '7']
         ];
 
         for (const [key, value] of defaultSettings) {
@@ -262,15 +576,19 @@ class DatabaseInitializer {
 
         // Insert default categories
         const defaultCategories = [
-            ['Adult Toys', '🪄', null, 'adult,toy,intimate,adult-toys', false],
-            ['Accessories', '🛍️', null, 'accessory,accessories,addon', false]
+            ['Adult Toys', '🪄', '#ff69b4', null, 'adult,toy,intimate,adult-toys', false, 1],
+            ['Accessories', '🛍️', '#4169e1', null, 'accessory,accessories,addon', false, 2]
         ];
 
-        for (const [name, emoji, collectionId, tags, fallback] of defaultCategories) {
+        // Categories are managed by name, so only seed the ones that are missing
+        for (const [name, emoji, color, collectionId, tags, fallback, sortOrder] of defaultCategories) {
             await this.runSql(
-                'INSERT OR IGNORE INTO categories (name, emoji, shopify_collection_id, shopify_tags, fallback_category) VALUES (?, ?, ?, ?, ?)',
-                [name, emoji, collectionId, tags, fallback]
+                `INSERT INTO categories (name, emoji, color, shopify_collection_id, shopify_tags, fallback_category, sort_order)
+                 SELECT ?, ?, ?, ?, ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM categories WHERE name = ?)`,
+                [name, emoji, color, collectionId, tags, fallback, sortOrder, name]
             );
+            // Categories created before colors existed
+            await this.runSql('UPDATE categories SET color = ? WHERE name = ? AND color IS NULL', [color, name]);
         }
 
         // Insert default auto-DM template
@@ -308,6 +626,19 @@ class DatabaseInitializer {
         });
     }
 
+    // Helper method to query rows
+    async allSql(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                resolve(rows);
+            });
+        });
+    }
+
     // Close database connection
     close() {
         if (this.db) {
@@ -331,6 +662,7 @@ async function initializeDatabase() {
         
         await initializer.init();
         await initializer.createTables();
+        await initializer.migrateTables();
         await initializer.createIndexes();
         await initializer.insertDefaultData();
         
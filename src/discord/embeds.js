@@ -42,6 +42,16 @@ function createPrimaryPlatformEmbed() {
                 .setCustomId('send_statistics')
                 .setLabel('Analytics')
                 .setEmoji('📊')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_order_routing')
+                .setLabel('Order Routing')
+                .setEmoji('🧭')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_categories')
+                .setLabel('Categories')
+                .setEmoji('🗂️')
                 .setStyle(ButtonStyle.Secondary)
         );
 
@@ -59,7 +69,17 @@ function createPrimaryPlatformEmbed() {
                 .setCustomId('template_library')
                 .setLabel('📚 Template Library')
                 .setEmoji('📚')
-                .setStyle(ButtonStyle.Success)
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('view_stock_alerts')
+                .setLabel('Stock Alerts')
+                .setEmoji('📦')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_checkout_recovery')
+                .setLabel('Checkout Recovery')
+                .setEmoji('🛒')
+                .setStyle(ButtonStyle.Secondary)
         );
 
     const managementButtons = new ActionRowBuilder()
@@ -78,6 +98,16 @@ function createPrimaryPlatformEmbed() {
                 .setCustomId('send_template')
                 .setLabel('📤 Send Template')
                 .setEmoji('📤')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('sync_catalog')
+                .setLabel('📚 Sync Catalog')
+                .setEmoji('🛍️')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('backfill_orders')
+                .setLabel('📜 Backfill Orders')
+                .setEmoji('🕰️')
                 .setStyle(ButtonStyle.Secondary)
         );
 
@@ -102,6 +132,11 @@ function createPrimaryPlatformEmbed() {
                 .setCustomId('health_check')
                 .setLabel('❤️ Health Check')
                 .setEmoji('❤️')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_topic_handlers')
+                .setLabel('🧩 Topic Handlers')
+                .setEmoji('🧩')
                 .setStyle(ButtonStyle.Secondary)
         );
 
@@ -116,6 +151,21 @@ function createPrimaryPlatformEmbed() {
                 .setCustomId('sync_stats')
                 .setLabel('📊 Sync Stats')
                 .setEmoji('📊')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('view_deliveries')
+                .setLabel('📨 Webhook Deliveries')
+                .setEmoji('📨')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId('sync_webhooks')
+                .setLabel('🔗 Sync Webhooks')
+                .setEmoji('🔗')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId('view_webhook_subscriptions')
+                .setLabel('📋 View Subscriptions')
+                .setEmoji('📋')
                 .setStyle(ButtonStyle.Secondary)
         );
 
@@ -229,17 +279,45 @@ function createOptOutButton() {
         );
 }
 
+// Get category color for embeds (the category's own color, else a default per name)
+function getCategoryColor(category) {
+    if (category && category.color) {
+        return category.color;
+    }
+
+    const colors = {
+        'Adult Toys': '#ff69b4',
+        'Accessories': '#4169e1',
+        'General': '#00ff00'
+    };
+
+    return (category && colors[category.name]) || '#00ff00';
+}
+
 // Create order notification embed with simplified format
-async function createOrderEmbed(orderData, product, category) {
+// product.url links the product by handle; otherItems are listed for multi-item carts
+function createOrderEmbed(orderData, product, category, { otherItems = [], moreCount = 0, footerText = 'Level Linked' } = {}) {
+    const quantity = product.quantity > 1 ? `${product.quantity}× ` : '';
     const embed = new EmbedBuilder()
-        .setTitle(`🛍️ Someone ordered **${product.name}**!`)
-        .setDescription(`https://levellinked.myshopify.com/products/${product.product_id}`)
-        .setColor('#00ff00')
+        .setTitle(`${category?.emoji || '🛍️'} Someone ordered ${quantity}${product.name}!`)
+        .setColor(getCategoryColor(category))
         .setTimestamp()
         .setFooter({
-            text: 'Level Linked'
+            text: footerText
         });
 
+    if (product.url) {
+        embed.setURL(product.url);
+    }
+
+    if (otherItems.length > 0) {
+        const lines = otherItems.map(item => `• ${item.quantity > 1 ? `${item.quantity}× ` : ''}[${item.name}](${item.url})`);
+        if (moreCount > 0) {
+            lines.push(`…and ${moreCount} more`);
+        }
+        embed.setDescription(`Also in the cart:\n${lines.join('\n')}`);
+    }
+
     // Add product image if available
     if (product.image_url) {
         embed.setThumbnail(product.image_url);
@@ -248,6 +326,45 @@ async function createOrderEmbed(orderData, product, category) {
     return embed;
 }
 
+// Create digest embed for orders posted together ("While we were away, 14 orders came in!")
+function createOrderDigestEmbed(orderCount, topItems, { moreCount = 0, footerText = 'Level Linked' } = {}) {
+    const embed = new EmbedBuilder()
+        .setTitle(`🛍️ While we were away, ${orderCount} order${orderCount === 1 ? '' : 's'} came in!`)
+        .setColor(getCategoryColor(topItems[0]?.category))
+        .setTimestamp()
+        .setFooter({
+            text: footerText
+        });
+
+    if (topItems.length > 0) {
+        const lines = topItems.map(item => `• ${item.quantity > 1 ? `${item.quantity}× ` : ''}[${item.name}](${item.url})`);
+        if (moreCount > 0) {
+            lines.push(`…and ${moreCount} more`);
+        }
+        embed.setDescription(`Top items:\n${lines.join('\n')}`);
+    }
+
+    // Show the best seller's image
+    const image = topItems.find(item => item.image_url);
+    if (image) {
+        embed.setThumbnail(image.image_url);
+    }
+
+    return embed;
+}
+
+// Create "Shop now" link button for an order post
+function createShopNowButton(url) {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setLabel('Shop now')
+                .setEmoji('🛒')
+                .setStyle(ButtonStyle.Link)
+                .setURL(url)
+        );
+}
+
 // Create statistics embed
 function createStatisticsEmbed(stats) {
     const embed = new EmbedBuilder()
@@ -331,6 +448,46 @@ function createHealthCheckEmbed(healthData) {
         });
     }
 
+    // Add Shopify API status per shop (call-limit bucket, retries, last failure)
+    if (healthData.shopify && Array.isArray(healthData.shopify.shops) && healthData.shopify.shops.length > 0) {
+        embed.addFields({
+            name: healthData.shopify.status === 'degraded' ? '🛍️ Shopify API ⚠️ Degraded' : '🛍️ Shopify API',
+            value: healthData.shopify.shops.map(client => {
+                const line = `${client.failing ? '⚠️' : '✅'} ${client.shop} • Calls: ${client.callLimit || 'n/a'} • Retries: ${client.retries} • Throttled: ${client.throttled}`;
+                return client.failing ? `${line}\n└ ${client.lastError.message}` : line;
+            }).join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+
+    // Add API version warnings (unsupported version, deprecated endpoints per shop)
+    if (healthData.shopify && healthData.shopify.apiVersion && healthData.shopify.apiVersion.warning) {
+        const lines = [];
+        for (const client of healthData.shopify.shops) {
+            if (client.unsupportedVersion) {
+                lines.push(`❌ ${client.shop} • ${client.apiVersion} unsupported, served ${client.servedVersion}`);
+            }
+            for (const deprecation of client.deprecations) {
+                lines.push(`⚠️ ${client.shop} • ${deprecation.endpoint} (${deprecation.count}×)\n└ ${deprecation.reason}`);
+            }
+        }
+
+        embed.addFields({
+            name: `🧭 Shopify API Version ${healthData.shopify.apiVersion.configured} ⚠️`,
+            value: lines.join('\n').slice(0, 1024),
+            inline: false
+        });
+    }
+
+    // Add webhook inbox backlog
+    if (healthData.webhookInbox) {
+        embed.addFields({
+            name: '📥 Webhook Inbox',
+            value: `Pending: ${healthData.webhookInbox.pending ?? 0} • Processed: ${healthData.webhookInbox.processed ?? 0} • Failed: ${healthData.webhookInbox.failed ?? 0}`,
+            inline: false
+        });
+    }
+
         // Add message queue status
     if (healthData.messageQueue && typeof healthData.messageQueue === 'object') {
         let queueStatus;
@@ -474,6 +631,9 @@ module.exports = {
     createEmbedFromTemplate,
     createOptOutButton,
     createOrderEmbed,
+    createOrderDigestEmbed,
+    createShopNowButton,
+    getCategoryColor,
     createStatisticsEmbed,
     createHealthCheckEmbed,
     createWelcomeDMEmbed,
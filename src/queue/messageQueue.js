@@ -17,21 +17,24 @@ class MessageQueue {
                 target_id,      // channel_id, user_id, or batch_id
                 message_data,   // JSON string with message content
                 priority = 0,   // Higher = more priority
-                scheduled_for = null // Optional future timestamp
+                scheduled_for = null, // Optional future timestamp
+                reference_type = null, // What the message is about, e.g. 'order'
+                reference_id = null    // e.g. the Shopify order ID
             } = messageData;
 
             const query = `
                 INSERT INTO message_queue (
                     type, target_type, target_id, message_data, 
-                    status, priority, scheduled_for, created_at
-                ) VALUES (?, ?, ?, ?, 'pending', ?, ?, datetime('now'))
+                    status, priority, scheduled_for, reference_type, reference_id, created_at
+                ) VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, datetime('now'))
             `;
 
             const scheduledTime = scheduled_for || new Date().toISOString();
             
             await db.run(query, [
                 type, target_type, target_id, message_data, 
-                priority, scheduledTime
+                priority, scheduledTime,
+                reference_type, reference_id !== null ? String(reference_id) : null
             ]);
 
             console.log(`✅ Message queued: ${type} for ${target_type} ${target_id}`);
@@ -83,7 +86,7 @@ class MessageQueue {
             const query = `
                 SELECT * FROM message_queue 
                 WHERE status = 'pending' 
-                AND (scheduled_for IS NULL OR scheduled_for <= datetime('now'))
+                AND (scheduled_for IS NULL OR datetime(scheduled_for) <= datetime('now'))
                 ORDER BY priority DESC, created_at ASC
                 LIMIT 10
             `;
@@ -164,6 +167,11 @@ class MessageQueue {
             }
 
             const sentMessage = await channel.send(messageData);
+
+            // Remember where the notification was posted so it can be retracted later
+            if (message.reference_type) {
+                await this.recordPostedMessage(message, sentMessage);
+            }
             
             // Add automatic reactions after 15 seconds for order notifications
             setTimeout(async () => {
@@ -224,6 +232,61 @@ class MessageQueue {
         }
     }
 
+    // Record a posted Discord message against its reference (e.g. an order)
+    async recordPostedMessage(message, sentMessage) {
+        try {
+            await db.run(`
+                INSERT INTO posted_messages (
+                    reference_type, reference_id, queue_message_id,
+                    channel_id, message_id, status, created_at
+                ) VALUES (?, ?, ?, ?, ?, 'posted', datetime('now'))
+            `, [
+                message.reference_type, message.reference_id, message.id,
+                sentMessage.channelId, sentMessage.id
+            ]);
+        } catch (error) {
+            console.error('❌ Failed to record posted message:', error);
+        }
+    }
+
+    // Get the Discord messages posted for a reference
+    async getPostedMessages(referenceType, referenceId) {
+        return await db.all(`
+            SELECT * FROM posted_messages
+            WHERE reference_type = ? AND reference_id = ?
+            ORDER BY created_at ASC
+        `, [referenceType, String(referenceId)]);
+    }
+
+    // Update a posted message after it was edited or deleted
+    async updatePostedMessageStatus(postedMessageId, status) {
+        await db.run(`
+            UPDATE posted_messages
+            SET status = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [status, postedMessageId]);
+    }
+
+    // Cancel messages for a reference that have not been sent yet
+    async cancelPendingMessages(referenceType, referenceId) {
+        try {
+            const result = await db.run(`
+                UPDATE message_queue
+                SET status = 'cancelled'
+                WHERE reference_type = ? AND reference_id = ? AND status = 'pending'
+            `, [referenceType, String(referenceId)]);
+
+            if (result.changes > 0) {
+                console.log(`🚫 Cancelled ${result.changes} pending message(s) for ${referenceType} ${referenceId}`);
+            }
+
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to cancel pending messages:', error);
+            return 0;
+        }
+    }
+
     // Mark message as sent
     async markMessageSent(messageId) {
         const query = `
@@ -285,7 +348,7 @@ class MessageQueue {
             const query = `
                 DELETE FROM message_queue 
                 WHERE created_at < datetime('now', '-30 days')
-                AND status IN ('sent', 'failed')
+                AND status IN ('sent', 'failed', 'cancelled')
             `;
             
             const result = await db.run(query);
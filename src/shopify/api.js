@@ -1,38 +1,96 @@
 const config = require('../config');
+const ShopifyHttpClient = require('./httpClient');
+const ShopifyGraphQLClient = require('./graphql');
+
+// Order fields requested by every orders query
+const ORDER_FIELDS = 'id,order_number,email,total_price,currency,currency_code,financial_status,cancelled_at,created_at,updated_at,line_items';
 
 class ShopifyAPIService {
-    constructor() {
+    // Pass a shop from the shop store to call its Admin API; defaults to SHOPIFY_SHOP_URL
+    constructor(shop = null) {
         // Store configuration for direct API calls
-        this.shopUrl = process.env.SHOPIFY_SHOP_URL?.replace('https://', '').replace('http://', '') || '';
-        this.accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+        this.shopUrl = shop?.domain || process.env.SHOPIFY_SHOP_URL?.replace('https://', '').replace('http://', '') || '';
+        this.accessToken = shop?.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+
+        // Shared per shop, so rate limiting sees every call made to the shop
+        this.http = ShopifyHttpClient.forShop(this.shopUrl, this.accessToken);
+
+        // GraphQL Admin API (same shop, same HTTP client)
+        this.graphql = new ShopifyGraphQLClient(this.http);
     }
 
-    // Get orders from a specific date range
-    async getOrdersCreatedAfter(startDate) {
-        try {
-            console.log(`🔄 Fetching orders created after ${startDate.toISOString()}`);
-            
-            // Convert date to Shopify's expected format (ISO string)
-            const startDateStr = startDate.toISOString();
-            
-            // Build the API URL
-            const url = `https://${this.shopUrl}/admin/api/2025-07/orders.json?status=any&created_at_min=${startDateStr}&limit=250&fields=id,order_number,email,total_price,currency_code,financial_status,created_at,line_items,line_items.product_id,line_items.name,line_items.price,line_items.image_url`;
-            
-            // Make direct HTTP request
-            const response = await fetch(url, {
-                headers: {
-                    'X-Shopify-Access-Token': this.accessToken,
-                    'Content-Type': 'application/json'
-                }
-            });
+    // Full URL of an Admin API resource in the configured API version
+    adminUrl(resource) {
+        return `https://${this.shopUrl}${ShopifyHttpClient.adminPath(resource)}`;
+    }
+
+    // URL of the next page from a Link header (cursor pagination), or null on the last page
+    parseNextLink(linkHeader) {
+        if (!linkHeader) {
+            return null;
+        }
+
+        const next = linkHeader.split(',').find(part => /rel="?next"?/.test(part));
+        const match = next && next.match(/<([^>]+)>/);
+        return match ? match[1] : null;
+    }
+
+    // Fetch one page and the URL of the page after it
+    async getPage(url) {
+        const { data, headers } = await this.http.request('GET', url);
+        return {
+            data: data || {},
+            nextUrl: this.parseNextLink(headers.get('link'))
+        };
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // Iterate over every item of a paginated list, following the Link header page by page
+    async *paginate(url, resourceKey) {
+        let nextUrl = url;
+        while (nextUrl) {
+            const page = await this.getPage(nextUrl);
+            for (const item of page.data[resourceKey] || []) {
+                yield item;
             }
+            nextUrl = page.nextUrl;
+        }
+    }
+
+    // Collect every item of a paginated list
+    async getAll(url, resourceKey) {
+        const items = [];
+        for await (const item of this.paginate(url, resourceKey)) {
+            items.push(item);
+        }
+        return items;
+    }
+
+    // Orders list URL for the given filters (Date or ISO string for the date filters)
+    buildOrdersUrl({ createdAtMin, createdAtMax, updatedAtMin, financialStatus, sinceId, status = 'any' } = {}) {
+        const toIso = value => (value instanceof Date ? value.toISOString() : value);
+        const params = new URLSearchParams({ status, limit: '250' });
 
-            const data = await response.json();
-            console.log(`✅ Fetched ${data.orders?.length || 0} orders from Shopify API`);
-            return data.orders || [];
+        if (createdAtMin) params.set('created_at_min', toIso(createdAtMin));
+        if (createdAtMax) params.set('created_at_max', toIso(createdAtMax));
+        if (updatedAtMin) params.set('updated_at_min', toIso(updatedAtMin));
+        if (financialStatus) params.set('financial_status', financialStatus);
+        if (sinceId) params.set('since_id', String(sinceId));
+        params.set('fields', ORDER_FIELDS);
+
+        return this.adminUrl(`orders.json?${params.toString()}`);
+    }
+
+    // Iterate over every order matching the filters, however many pages that takes
+    async *iterateOrders(filters = {}) {
+        yield* this.paginate(this.buildOrdersUrl(filters), 'orders');
+    }
+
+    // Get every order matching the filters
+    async getOrders(filters = {}) {
+        try {
+            const orders = await this.getAll(this.buildOrdersUrl(filters), 'orders');
+            console.log(`✅ Fetched ${orders.length} orders from Shopify API`);
+            return orders;
 
         } catch (error) {
             console.error('❌ Error fetching orders from Shopify API:', error);
@@ -40,32 +98,100 @@ class ShopifyAPIService {
         }
     }
 
-    // Get orders from a specific order number onwards (for pagination)
-    async getOrdersSinceOrder(orderNumber) {
+    // Get orders from a specific date range (every page, optionally up to createdAtMax)
+    async getOrdersCreatedAfter(startDate, filters = {}) {
+        console.log(`🔄 Fetching orders created after ${startDate.toISOString()}`);
+        return await this.getOrders({ ...filters, createdAtMin: startDate });
+    }
+
+    // Get orders after a specific order ID onwards (every page)
+    async getOrdersSinceOrder(orderId, filters = {}) {
+        console.log(`🔄 Fetching orders since order ${orderId}`);
+        return await this.getOrders({ ...filters, sinceId: orderId });
+    }
+
+    // List webhook subscriptions
+    async listWebhooks() {
+        try {
+            return await this.getAll(this.adminUrl('webhooks.json?limit=250'), 'webhooks');
+
+        } catch (error) {
+            console.error('❌ Error listing webhook subscriptions:', error);
+            throw error;
+        }
+    }
+
+    // Create a webhook subscription
+    async createWebhook(topic, address) {
         try {
-            console.log(`🔄 Fetching orders since order #${orderNumber}`);
-            
-            // Build the API URL
-            const url = `https://${this.shopUrl}/admin/api/2025-07/orders.json?status=any&since_id=${orderNumber}&limit=250&fields=id,order_number,email,total_price,currency_code,financial_status,created_at,line_items,line_items.product_id,line_items.name,line_items.price,line_items.image_url`;
-            
-            // Make direct HTTP request
-            const response = await fetch(url, {
-                headers: {
-                    'X-Shopify-Access-Token': this.accessToken,
-                    'Content-Type': 'application/json'
-                }
+            const { data } = await this.http.request('POST', ShopifyHttpClient.adminPath('webhooks.json'), {
+                body: { webhook: { topic, address, format: 'json' } }
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            console.log(`✅ Webhook subscription created: ${topic}`);
+            return data.webhook;
+
+        } catch (error) {
+            console.error(`❌ Error creating webhook subscription ${topic}:`, error);
+            throw error;
+        }
+    }
+
+    // Delete a webhook subscription
+    async deleteWebhook(webhookId) {
+        try {
+            await this.http.request('DELETE', ShopifyHttpClient.adminPath(`webhooks/${webhookId}.json`));
+
+            console.log(`✅ Webhook subscription ${webhookId} deleted`);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Error deleting webhook subscription ${webhookId}:`, error);
+            throw error;
+        }
+    }
+
+    // Iterate over every product in the shop, however many pages that takes
+    async *iterateProducts() {
+        yield* this.paginate(this.adminUrl('products.json?limit=250&fields=id,title,handle,tags,product_type,vendor,status,image,images,variants,updated_at'), 'products');
+    }
+
+    // Available stock of inventory items at every location
+    async getInventoryLevels(inventoryItemIds) {
+        try {
+            return await this.getAll(this.adminUrl(`inventory_levels.json?inventory_item_ids=${inventoryItemIds.join(',')}&limit=250`), 'inventory_levels');
+
+        } catch (error) {
+            console.error('❌ Error fetching inventory levels from Shopify API:', error);
+            throw error;
+        }
+    }
+
+    // Get every custom and smart collection (ID and title)
+    async getCollections() {
+        try {
+            const collections = [];
+
+            for (const type of ['custom_collections', 'smart_collections']) {
+                collections.push(...await this.getAll(this.adminUrl(`${type}.json?fields=id,title&limit=250`), type));
             }
 
-            const data = await response.json();
-            console.log(`✅ Fetched ${data.orders?.length || 0} orders since order #${orderNumber}`);
-            return data.orders || [];
+            return collections;
 
         } catch (error) {
-            console.error('❌ Error fetching orders since order number:', error);
+            console.error('❌ Error fetching collections from Shopify API:', error);
+            throw error;
+        }
+    }
+
+    // Get the IDs of the products in a collection
+    async getCollectionProductIds(collectionId) {
+        try {
+            const products = await this.getAll(this.adminUrl(`collections/${collectionId}/products.json?fields=id&limit=250`), 'products');
+            return products.map(product => String(product.id));
+
+        } catch (error) {
+            console.error(`❌ Error fetching products of collection ${collectionId}:`, error);
             throw error;
         }
     }
@@ -73,22 +199,8 @@ class ShopifyAPIService {
     // Test API connection
     async testConnection() {
         try {
-            // Build the API URL
-            const url = `https://${this.shopUrl}/admin/api/2025-07/shop.json`;
-            
-            // Make direct HTTP request
-            const response = await fetch(url, {
-                headers: {
-                    'X-Shopify-Access-Token': this.accessToken,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            const { data } = await this.http.request('GET', ShopifyHttpClient.adminPath('shop.json'));
 
-            const data = await response.json();
             console.log('✅ Shopify API connection successful');
             return {
                 success: true,
@@ -99,10 +211,12 @@ class ShopifyAPIService {
             console.error('❌ Shopify API connection failed:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code || 'unknown'
             };
         }
     }
+
 }
 
 module.exports = ShopifyAPIService;
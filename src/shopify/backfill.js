@@ -0,0 +1,272 @@
+const readline = require('readline');
+const { Readable } = require('stream');
+const db = require('../database/db');
+const ShopifyAPIService = require('./api');
+const { fromGid } = require('./graphql');
+const shops = require('./shops');
+
+// How often a running bulk operation is polled, and how long we wait for it at most
+const BULK_POLL_INTERVAL_MS = 5000;
+const BULK_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Shopify keeps retrying a failed webhook for up to 48 hours; orders younger than that may
+// still be announced by their own orders/create, so the backfill must not mark them processed
+const WEBHOOK_RETRY_HORIZON_MS = 48 * 60 * 60 * 1000;
+
+// Payment states that will not become 'paid' later (so no webhook will announce the order)
+const SETTLED_STATUSES = ['paid', 'partially_refunded', 'refunded', 'voided'];
+
+// Bulk query for every order in a date range, with its line items
+function buildBulkQuery(since, until) {
+    const range = [`created_at:>='${since.toISOString()}'`];
+    if (until) {
+        range.push(`created_at:<'${until.toISOString()}'`);
+    }
+
+    return `{
+        orders(query: "${range.join(' ')}") {
+            edges {
+                node {
+                    id
+                    name
+                    email
+                    createdAt
+                    displayFinancialStatus
+                    cancelledAt
+                    totalPriceSet { shopMoney { amount currencyCode } }
+                    lineItems {
+                        edges {
+                            node {
+                                id
+                                title
+                                quantity
+                                product { id }
+                                variant { id }
+                                originalUnitPriceSet { shopMoney { amount } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }`;
+}
+
+// Imports historical orders so analytics cover the time before the bot was running.
+// Runs a Shopify bulk operation and streams its JSONL result, or pages through the REST
+// orders endpoint when bulk operations are unavailable. Imported orders are marked as
+// processed with sync_source 'backfill' and never produce notifications, except orders that are
+// still unpaid or young enough for their own webhook, which are left for the webhook to announce.
+class OrderBackfill {
+    constructor(logger = null) {
+        this.logger = logger;
+        this.isRunning = false;
+    }
+
+    // Backfill every shop (one failing shop does not stop the others)
+    async runAllShops(options) {
+        if (this.isRunning) {
+            throw new Error('An order backfill is already running');
+        }
+
+        this.isRunning = true;
+        try {
+            const targets = options.shopDomain ? [shops.getShop(options.shopDomain)].filter(Boolean) : shops.getShops();
+            if (targets.length === 0) {
+                throw new Error(`Unknown shop ${options.shopDomain}`);
+            }
+
+            const results = [];
+            for (const shop of targets) {
+                try {
+                    results.push(await this.runShop(shop, options));
+                } catch (error) {
+                    console.error(`❌ Order backfill failed for ${shop.domain}:`, error);
+                    if (this.logger) {
+                        await this.logger.logError(error, `Order backfill (${shop.domain})`);
+                    }
+                    results.push({ shop: shop.domain, error: error.message });
+                }
+            }
+            return results;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    // Backfill one shop; method is 'auto' (bulk, REST if that fails), 'bulk' or 'rest'
+    async runShop(shop, { since, until = null, method = 'auto' }) {
+        const api = new ShopifyAPIService(shop);
+        const result = { shop: shop.domain, method, orders: 0, lineItems: 0, skipped: 0, leftForWebhooks: 0 };
+        console.log(`📜 Backfilling orders for ${shop.domain} since ${since.toISOString()}`);
+
+        if (method !== 'rest') {
+            try {
+                const url = await this.runBulkOperation(api, since, until);
+                result.method = 'bulk';
+                if (url) {
+                    await this.importJsonl(url, shop, result);
+                }
+            } catch (error) {
+                if (method === 'bulk') {
+                    throw error;
+                }
+                console.warn(`⚠️ Bulk backfill unavailable for ${shop.domain}, paging through REST: ${error.message}`);
+                result.bulkError = error.message;
+                method = 'rest';
+            }
+        }
+
+        if (method === 'rest') {
+            result.method = 'rest';
+            for await (const order of api.iterateOrders({ createdAtMin: since, createdAtMax: until || undefined })) {
+                await this.importOrder(shop, {
+                    id: String(order.id),
+                    orderNumber: order.order_number,
+                    email: order.email,
+                    totalPrice: order.total_price,
+                    currency: order.currency || order.currency_code,
+                    financialStatus: order.financial_status,
+                    cancelledAt: order.cancelled_at,
+                    createdAt: order.created_at
+                }, result);
+
+                for (const lineItem of order.line_items || []) {
+                    await this.importLineItem(shop, String(order.id), order.created_at, {
+                        id: String(lineItem.id),
+                        productId: lineItem.product_id ? String(lineItem.product_id) : null,
+                        variantId: lineItem.variant_id ? String(lineItem.variant_id) : null,
+                        title: lineItem.name || lineItem.title,
+                        quantity: lineItem.quantity,
+                        price: lineItem.price
+                    }, result);
+                }
+            }
+        }
+
+        console.log(`✅ Order backfill for ${shop.domain} (${result.method}): ${result.orders} orders, ${result.lineItems} line items, ${result.skipped} already known, ${result.leftForWebhooks} left for webhooks`);
+        return result;
+    }
+
+    // Start a bulk query and wait for it; returns the JSONL URL (null when there are no orders)
+    async runBulkOperation(api, since, until) {
+        const started = await api.graphql.mutate(`
+            mutation BulkOrders($query: String!) {
+                bulkOperationRunQuery(query: $query) {
+                    bulkOperation { id status }
+                    userErrors { field message }
+                }
+            }
+        `, { query: buildBulkQuery(since, until) }, 'bulkOperationRunQuery');
+
+        const operationId = started.bulkOperation.id;
+        const deadline = Date.now() + BULK_TIMEOUT_MS;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+
+            const { node } = await api.graphql.query(`
+                query BulkOperationStatus($id: ID!) {
+                    node(id: $id) {
+                        ... on BulkOperation { id status errorCode objectCount url }
+                    }
+                }
+            `, { id: operationId });
+
+            if (node.status === 'COMPLETED') {
+                console.log(`📦 Bulk operation finished with ${node.objectCount} objects`);
+                return node.url;
+            }
+
+            if (['FAILED', 'CANCELED', 'EXPIRED'].includes(node.status)) {
+                throw new Error(`Bulk operation ${node.status.toLowerCase()}${node.errorCode ? ` (${node.errorCode})` : ''}`);
+            }
+        }
+
+        throw new Error(`Bulk operation did not finish within ${BULK_TIMEOUT_MS / 60000} minutes`);
+    }
+
+    // Stream the JSONL result line by line (line items carry their order's ID in __parentId)
+    async importJsonl(url, shop, result) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Bulk result download failed: HTTP ${response.status}`);
+        }
+
+        const lines = readline.createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            const object = JSON.parse(line);
+
+            if (object.__parentId) {
+                await this.importLineItem(shop, fromGid(object.__parentId), null, {
+                    id: fromGid(object.id),
+                    productId: fromGid(object.product?.id),
+                    variantId: fromGid(object.variant?.id),
+                    title: object.title,
+                    quantity: object.quantity,
+                    price: object.originalUnitPriceSet?.shopMoney?.amount
+                }, result);
+                continue;
+            }
+
+            await this.importOrder(shop, {
+                id: fromGid(object.id),
+                orderNumber: (object.name || '').replace(/^#/, ''),
+                email: object.email,
+                totalPrice: object.totalPriceSet?.shopMoney?.amount,
+                currency: object.totalPriceSet?.shopMoney?.currencyCode,
+                financialStatus: (object.displayFinancialStatus || '').toLowerCase() || null,
+                cancelledAt: object.cancelledAt,
+                createdAt: object.createdAt
+            }, result);
+        }
+
+        // Line items are dated by the order they belong to
+        await db.run(`
+            UPDATE order_line_items
+            SET created_at = (SELECT created_at FROM orders WHERE orders.id = order_line_items.order_id)
+            WHERE created_at IS NULL AND shop_domain = ?
+        `, [shop.domain]);
+    }
+
+    // Store an order with its real creation time and mark it processed (never notified)
+    async importOrder(shop, order, result) {
+        const inserted = await db.run(`
+            INSERT OR IGNORE INTO orders (id, email, order_number, total_price, currency, financial_status, shop_domain, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime(?))
+        `, [order.id, order.email || null, order.orderNumber, order.totalPrice, order.currency, order.financialStatus, shop.domain, order.createdAt]);
+
+        // Only settled orders are claimed (orders the bot already saw keep their webhook or sync record)
+        if (this.isSettled(order)) {
+            await db.markOrderProcessed(order.id, String(order.orderNumber), 'backfill', shop.domain, true);
+        } else {
+            result.leftForWebhooks++;
+        }
+
+        if (inserted.changes > 0) {
+            result.orders++;
+        } else {
+            result.skipped++;
+        }
+    }
+
+    // Whether no webhook can announce the order any more: cancelled or settled, and past the retry horizon
+    isSettled(order) {
+        const createdAt = new Date(order.createdAt).getTime();
+        const finished = !!order.cancelledAt || SETTLED_STATUSES.includes(order.financialStatus);
+        return finished && createdAt < Date.now() - WEBHOOK_RETRY_HORIZON_MS;
+    }
+
+    // Store a line item of an order
+    async importLineItem(shop, orderId, createdAt, lineItem, result) {
+        const inserted = await db.trackOrderLineItem({ ...lineItem, orderId, shopDomain: shop.domain, createdAt });
+        result.lineItems += inserted.changes;
+    }
+}
+
+module.exports = OrderBackfill;
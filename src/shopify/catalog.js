@@ -0,0 +1,176 @@
+const db = require('../database/db');
+const ShopifyAPIService = require('./api');
+const shops = require('./shops');
+
+// Local copy of the Shopify product catalog.
+// Order line items carry no tags, handles, images or collections, so notifications,
+// categorization and analytics look products up here instead. A full Admin API sync
+// fills the table and product webhooks keep it fresh between syncs. Webhooks say
+// nothing about collections, so collection membership only changes on a full sync.
+class ProductCatalog {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+        this.isSyncing = false;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register(['products/create', 'products/update', 'products/delete'], (product, { topic, shopDomain }) => this.handleProductWebhook(product, topic, shopDomain), {
+            name: 'product_catalog',
+            description: 'Keep the local product catalog in sync with Shopify',
+            required: true // Categorization and order links read from the catalog
+        });
+    }
+
+    // Route product webhooks
+    async handleProductWebhook(product, topic, shopDomain = null) {
+        try {
+            if (topic === 'products/delete') {
+                await this.deleteProduct(product.id);
+            } else {
+                await this.saveProduct(product, shopDomain);
+            }
+        } catch (error) {
+            console.error('❌ Error updating product catalog:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Product catalog update');
+            }
+            throw error;
+        }
+    }
+
+    // Insert or update a product (collectionIds null keeps the stored membership)
+    async saveProduct(product, shopDomain = null, collectionIds = null) {
+        const images = (product.images || []).map(image => image.src).filter(Boolean);
+        const variants = (product.variants || []).map(variant => ({
+            id: variant.id,
+            title: variant.title,
+            sku: variant.sku || null,
+            price: variant.price,
+            inventory_item_id: variant.inventory_item_id || null
+        }));
+
+        await db.run(`
+            INSERT INTO products (
+                product_id, shop_domain, title, handle, tags, product_type, vendor, status,
+                image_url, images, variants, collection_ids, shopify_updated_at, synced_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(product_id) DO UPDATE SET
+                shop_domain = excluded.shop_domain,
+                title = excluded.title,
+                handle = excluded.handle,
+                tags = excluded.tags,
+                product_type = excluded.product_type,
+                vendor = excluded.vendor,
+                status = excluded.status,
+                image_url = excluded.image_url,
+                images = excluded.images,
+                variants = excluded.variants,
+                collection_ids = COALESCE(excluded.collection_ids, products.collection_ids),
+                shopify_updated_at = excluded.shopify_updated_at,
+                synced_at = datetime('now')
+        `, [
+            String(product.id),
+            shopDomain,
+            product.title || null,
+            product.handle || null,
+            product.tags || null,
+            product.product_type || null,
+            product.vendor || null,
+            product.status || null,
+            product.image?.src || images[0] || null,
+            JSON.stringify(images),
+            JSON.stringify(variants),
+            collectionIds ? collectionIds.join(',') : null,
+            product.updated_at || null
+        ]);
+    }
+
+    // Remove a deleted product
+    async deleteProduct(productId) {
+        await db.run('DELETE FROM products WHERE product_id = ?', [String(productId)]);
+    }
+
+    // Get a product from the catalog
+    async getProduct(productId) {
+        return await db.get('SELECT * FROM products WHERE product_id = ?', [String(productId)]);
+    }
+
+    // Full sync of one shop: every product with its collections, then drop products Shopify no longer has
+    async syncShop(shop) {
+        const api = new ShopifyAPIService(shop);
+        console.log(`📚 Syncing product catalog for ${shop.domain}`);
+
+        // Invert collection → products into product → collections
+        const collections = await api.getCollections();
+        const collectionsByProduct = new Map();
+        for (const collection of collections) {
+            for (const productId of await api.getCollectionProductIds(collection.id)) {
+                if (!collectionsByProduct.has(productId)) {
+                    collectionsByProduct.set(productId, []);
+                }
+                collectionsByProduct.get(productId).push(String(collection.id));
+            }
+        }
+
+        const seen = new Set();
+        for await (const product of api.iterateProducts()) {
+            await this.saveProduct(product, shop.domain, collectionsByProduct.get(String(product.id)) || []);
+            seen.add(String(product.id));
+        }
+
+        // Products deleted while no webhook reached us
+        const stored = await db.all('SELECT product_id FROM products WHERE shop_domain = ?', [shop.domain]);
+        const removed = stored.filter(row => !seen.has(row.product_id));
+        for (const row of removed) {
+            await this.deleteProduct(row.product_id);
+        }
+
+        await db.setSetting(`catalog_synced_at:${shop.domain}`, new Date().toISOString());
+        console.log(`✅ Product catalog synced for ${shop.domain}: ${seen.size} products, ${removed.length} removed`);
+
+        return { shop: shop.domain, products: seen.size, removed: removed.length, collections: collections.length };
+    }
+
+    // Full sync of every shop (one failing shop does not stop the others)
+    async syncAllShops() {
+        if (this.isSyncing) {
+            throw new Error('A catalog sync is already running');
+        }
+
+        this.isSyncing = true;
+        try {
+            const results = [];
+            for (const shop of shops.getShops()) {
+                try {
+                    results.push(await this.syncShop(shop));
+                } catch (error) {
+                    console.error(`❌ Error syncing product catalog for ${shop.domain}:`, error);
+                    if (this.logger) {
+                        await this.logger.logError(error, `Product catalog sync (${shop.domain})`);
+                    }
+                    results.push({ shop: shop.domain, error: error.message });
+                }
+            }
+            return results;
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    // Product counts and last sync time per shop
+    async getStats() {
+        return await Promise.all(shops.getShops().map(async shop => {
+            const row = await db.get('SELECT COUNT(*) AS count FROM products WHERE shop_domain = ?', [shop.domain]);
+            return {
+                shop: shop.domain,
+                products: row ? row.count : 0,
+                syncedAt: await db.getSetting(`catalog_synced_at:${shop.domain}`)
+            };
+        }));
+    }
+}
+
+module.exports = ProductCatalog;
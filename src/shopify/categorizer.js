@@ -0,0 +1,232 @@
+const db = require('../database/db');
+const ShopifyAPIService = require('./api');
+const shops = require('./shops');
+
+// Product details are refetched from Shopify after this long
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Used when nothing matches and no category is marked as fallback
+const GENERAL_CATEGORY = {
+    name: 'General',
+    emoji: '🛒',
+    color: '#00ff00',
+    shopify_tags: '',
+    fallback_category: true
+};
+
+// Split a comma-separated list into trimmed, lower-cased values
+function splitList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+// Assigns products to categories from their real Shopify tags, product type and
+// collection membership. Categories are checked in their sort order; the first match wins.
+class ProductCategorizer {
+    constructor(logger = null) {
+        this.logger = logger;
+        this.cache = new Map();
+    }
+
+    // Category of a product
+    async categorize(productId, shop = shops.getDefaultShop()) {
+        return (await this.explain(productId, shop)).category;
+    }
+
+    // Category of a product, with the details it was matched on and why
+    async explain(productId, shop = shops.getDefaultShop()) {
+        try {
+            const details = await this.getProductDetails(productId, shop);
+            const categories = await db.getCategories();
+            return { details, ...this.matchCategory(details, categories) };
+
+        } catch (error) {
+            console.error('❌ Error categorizing product:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Product categorization');
+            }
+            return { details: null, category: GENERAL_CATEGORY, reason: 'categorization failed' };
+        }
+    }
+
+    // Pick the first category whose tags, product types or collections match
+    matchCategory(details, categories) {
+        for (const category of categories) {
+            const tag = splitList(category.shopify_tags).find(value => details.tags.includes(value));
+            if (tag) {
+                return { category, reason: `tag "${tag}"` };
+            }
+
+            const productType = splitList(category.product_types).find(value => value === details.productType);
+            if (productType) {
+                return { category, reason: `product type "${details.productType}"` };
+            }
+
+            const collectionId = splitList(category.shopify_collection_id).find(value => details.collectionIds.includes(value));
+            if (collectionId) {
+                return { category, reason: `collection ${collectionId}` };
+            }
+        }
+
+        const fallback = categories.find(category => category.fallback_category);
+        return fallback
+            ? { category: fallback, reason: 'fallback category' }
+            : { category: GENERAL_CATEGORY, reason: 'no match' };
+    }
+
+    // Tags, product type and collections of a product: the synced catalog, else Shopify,
+    // else what other product webhook handlers stored
+    async getProductDetails(productId, shop) {
+        const key = `${shop.domain}:${productId}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+            return cached.details;
+        }
+
+        const product = await db.get('SELECT * FROM products WHERE product_id = ?', [String(productId)]);
+        if (product) {
+            // Webhook-only rows have no collections until the next full sync
+            return {
+                source: 'catalog',
+                title: product.title,
+                tags: splitList(product.tags),
+                productType: (product.product_type || '').trim().toLowerCase(),
+                collectionIds: product.collection_ids !== null
+                    ? splitList(product.collection_ids)
+                    : await this.getCollectionIds(productId, shop)
+            };
+        }
+
+        let details;
+        try {
+            // One GraphQL call instead of a product and two collection REST calls
+            const found = await new ShopifyAPIService(shop).graphql.getProductDetails(productId);
+            details = {
+                source: 'shopify',
+                title: found ? found.title : null,
+                tags: splitList(found ? found.tags : []),
+                productType: (found && found.productType || '').trim().toLowerCase(),
+                collectionIds: found ? found.collectionIds : []
+            };
+        } catch (error) {
+            // Without API access the other webhook tables still know tags and sometimes the type
+            console.warn(`⚠️ Using stored webhook data to categorize product ${productId}: ${error.message}`);
+            const stored = await db.getCatalogProduct(productId);
+            return {
+                source: 'webhooks',
+                title: null,
+                tags: splitList(stored ? stored.tags : ''),
+                productType: (stored && stored.product_type || '').trim().toLowerCase(),
+                collectionIds: []
+            };
+        }
+
+        this.cache.set(key, { details, fetchedAt: Date.now() });
+        return details;
+    }
+
+    // Collections of a product from Shopify (cached; none when the API is unavailable)
+    async getCollectionIds(productId, shop) {
+        const key = `${shop.domain}:${productId}:collections`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+            return cached.details;
+        }
+
+        try {
+            const found = await new ShopifyAPIService(shop).graphql.getProductDetails(productId);
+            const collectionIds = found ? found.collectionIds : [];
+            this.cache.set(key, { details: collectionIds, fetchedAt: Date.now() });
+            return collectionIds;
+        } catch (error) {
+            console.warn(`⚠️ Categorizing product ${productId} without collections: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Create a category or update the one with the same name (blank fields keep their value, "-" clears)
+    async saveCategory({ name, emoji, color, tags, productTypes, collectionIds }) {
+        const existing = await db.get('SELECT * FROM categories WHERE name = ? COLLATE NOCASE', [name]);
+        const pick = (value, current) => (value === '-' ? null : value || current || null);
+
+        if (existing) {
+            await db.run(`
+                UPDATE categories
+                SET emoji = ?, color = ?, shopify_tags = ?, product_types = ?, shopify_collection_id = ?
+                WHERE id = ?
+            `, [
+                emoji || existing.emoji,
+                pick(color, existing.color),
+                pick(tags, existing.shopify_tags),
+                pick(productTypes, existing.product_types),
+                pick(collectionIds, existing.shopify_collection_id),
+                existing.id
+            ]);
+            return { created: false, id: existing.id };
+        }
+
+        if (!emoji) {
+            throw new Error('A new category needs an emoji');
+        }
+
+        const last = await db.get('SELECT MAX(sort_order) AS sort_order FROM categories');
+        const result = await db.run(`
+            INSERT INTO categories (name, emoji, color, shopify_tags, product_types, shopify_collection_id, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            name,
+            emoji,
+            pick(color),
+            pick(tags),
+            pick(productTypes),
+            pick(collectionIds),
+            ((last && last.sort_order) || 0) + 1
+        ]);
+        return { created: true, id: result.lastID };
+    }
+
+    // Delete a category by name
+    async deleteCategory(name) {
+        const result = await db.run('DELETE FROM categories WHERE name = ? COLLATE NOCASE', [name]);
+        return result.changes > 0;
+    }
+
+    // Put the named categories first, in the given order (the rest keep their order after them)
+    async reorderCategories(names) {
+        const categories = await db.getCategories();
+        const wanted = names.map(name => name.trim().toLowerCase()).filter(Boolean);
+
+        const unknown = wanted.filter(name => !categories.some(category => category.name.toLowerCase() === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown categories: ${unknown.join(', ')}`);
+        }
+
+        const ordered = [
+            ...wanted.map(name => categories.find(category => category.name.toLowerCase() === name)),
+            ...categories.filter(category => !wanted.includes(category.name.toLowerCase()))
+        ];
+
+        for (let i = 0; i < ordered.length; i++) {
+            await db.run('UPDATE categories SET sort_order = ? WHERE id = ?', [i + 1, ordered[i].id]);
+        }
+
+        return ordered;
+    }
+
+    // Make one category the fallback (blank name clears it)
+    async setFallbackCategory(name) {
+        if (name) {
+            const category = await db.get('SELECT id FROM categories WHERE name = ? COLLATE NOCASE', [name]);
+            if (!category) {
+                return false;
+            }
+        }
+
+        await db.run('UPDATE categories SET fallback_category = (name = ? COLLATE NOCASE)', [name || '']);
+        return true;
+    }
+}
+
+ProductCategorizer.GENERAL_CATEGORY = GENERAL_CATEGORY;
+
+module.exports = ProductCategorizer;
@@ -0,0 +1,248 @@
+const config = require('../config');
+const db = require('../database/db');
+const { createOptOutButton } = require('../discord/embeds');
+
+// Abandoned checkout recovery DMs for members who linked their Shopify email.
+// The DM is scheduled in the message queue and cancelled if the checkout turns into an order.
+class CheckoutRecovery {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register(['checkouts/create', 'checkouts/update'], (checkout) => this.handleCheckout(checkout), {
+            name: 'checkout_recovery',
+            description: 'Schedule recovery DMs for abandoned checkouts of linked members',
+            settingKey: 'checkout_recovery_enabled'
+        });
+
+        registry.register('orders/create', (order) => this.handleOrderCreated(order), {
+            name: 'checkout_conversions',
+            description: 'Cancel pending recovery DMs and record recovered checkouts'
+        });
+    }
+
+    // Link a Discord member to the email they use at checkout
+    async linkCustomer(userId, email, linkedBy) {
+        await db.run(`
+            INSERT INTO customer_links (user_id, email, linked_by, linked_at)
+            VALUES (?, ?, ?, datetime('now'))
+            ON CONFLICT(user_id) DO UPDATE SET
+                email = excluded.email, linked_by = excluded.linked_by, linked_at = datetime('now')
+        `, [userId, email.trim().toLowerCase(), linkedBy]);
+    }
+
+    // Remove a member's link
+    async unlinkCustomer(userId) {
+        const result = await db.run('DELETE FROM customer_links WHERE user_id = ?', [userId]);
+        return result.changes > 0;
+    }
+
+    // Find the member linked to a checkout email
+    async getLinkedMember(email) {
+        if (!email) {
+            return null;
+        }
+        return await db.get('SELECT * FROM customer_links WHERE email = ?', [email.trim().toLowerCase()]);
+    }
+
+    // Handle checkouts/create and checkouts/update webhooks
+    async handleCheckout(checkout) {
+        try {
+            if (checkout.completed_at || !checkout.token) {
+                return;
+            }
+
+            const link = await this.getLinkedMember(checkout.email);
+            if (!link) {
+                return;
+            }
+
+            // Updates for a checkout we already handled only refresh its details
+            const existing = await db.get('SELECT * FROM abandoned_checkouts WHERE checkout_token = ?', [checkout.token]);
+            if (existing) {
+                await db.run(`
+                    UPDATE abandoned_checkouts
+                    SET total_price = ?, recovery_url = ?, updated_at = datetime('now')
+                    WHERE id = ?
+                `, [checkout.total_price, checkout.abandoned_checkout_url || existing.recovery_url, existing.id]);
+                return;
+            }
+
+            const status = await this.getRecoveryStatus(link.user_id);
+
+            await db.run(`
+                INSERT INTO abandoned_checkouts (
+                    checkout_token, checkout_id, user_id, email, total_price, currency,
+                    recovery_url, status, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            `, [
+                checkout.token,
+                checkout.id ? String(checkout.id) : null,
+                link.user_id,
+                link.email,
+                checkout.total_price,
+                checkout.currency || checkout.presentment_currency || null,
+                checkout.abandoned_checkout_url || null,
+                status
+            ]);
+
+            if (status !== 'scheduled') {
+                console.log(`⏭️ Checkout recovery for ${link.user_id} skipped (${status})`);
+                return;
+            }
+
+            await this.scheduleRecoveryDM(checkout, link.user_id);
+
+        } catch (error) {
+            console.error('❌ Error processing checkout:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Checkout recovery');
+            }
+            throw error;
+        }
+    }
+
+    // Decide whether a member may get another recovery DM
+    async getRecoveryStatus(userId) {
+        const guild = this.client ? this.client.guilds.cache.get(config.discord.guildId) : null;
+        const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+        if (!member) {
+            return 'not_member';
+        }
+        if (member.roles.cache.has(config.discord.closedDmsRoleId)) {
+            return 'closed_dms';
+        }
+
+        const tracking = await db.getMember(userId);
+        if (tracking && tracking.opt_out_at) {
+            return 'opted_out';
+        }
+
+        // Frequency cap: at most N recovery DMs per member in a rolling window
+        const maxDMs = parseInt(await db.getSetting('checkout_recovery_max_dms', '1')) || 0;
+        const windowDays = parseInt(await db.getSetting('checkout_recovery_window_days', '7')) || 7;
+        const recent = await db.get(`
+            SELECT COUNT(*) AS count FROM abandoned_checkouts
+            WHERE user_id = ? AND status IN ('scheduled', 'converted')
+            AND created_at >= datetime('now', ?)
+        `, [userId, `-${windowDays} days`]);
+
+        return recent.count >= maxDMs ? 'capped' : 'scheduled';
+    }
+
+    // Queue the recovery DM after the configured delay
+    async scheduleRecoveryDM(checkout, userId) {
+        if (!this.messageQueue) {
+            return;
+        }
+
+        const delayMinutes = parseInt(await db.getSetting('checkout_recovery_delay_minutes', '60')) || 60;
+        const scheduledFor = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+
+        const items = (checkout.line_items || []).slice(0, 3).map(item => `• ${item.title}`).join('\n');
+        const link = checkout.abandoned_checkout_url ? `\n\n🛒 Pick up where you left off: ${checkout.abandoned_checkout_url}` : '';
+
+        await this.messageQueue.addMessage({
+            type: 'custom_dm',
+            target_type: 'user',
+            target_id: userId,
+            message_data: JSON.stringify({
+                content: `👋 Looks like you left something in your cart!${items ? `\n\n${items}` : ''}${link}`,
+                components: [createOptOutButton().toJSON()]
+            }),
+            priority: 0,
+            scheduled_for: scheduledFor,
+            reference_type: 'checkout',
+            reference_id: checkout.token
+        });
+
+        await db.recordEvent('checkout_recovery_scheduled', 'webhook', {
+            checkout_token: checkout.token,
+            user_id: userId,
+            total_price: checkout.total_price,
+            delay_minutes: delayMinutes
+        });
+
+        console.log(`🛒 Recovery DM scheduled for ${userId} in ${delayMinutes} minutes`);
+    }
+
+    // Handle orders/create: a completed checkout never gets (another) recovery DM
+    async handleOrderCreated(order) {
+        try {
+            if (!order.checkout_token) {
+                return;
+            }
+
+            const checkout = await db.get(
+                'SELECT * FROM abandoned_checkouts WHERE checkout_token = ?',
+                [order.checkout_token]
+            );
+            if (!checkout) {
+                return;
+            }
+
+            const cancelled = this.messageQueue
+                ? await this.messageQueue.cancelPendingMessages('checkout', order.checkout_token)
+                : 0;
+
+            const sent = await db.get(`
+                SELECT id FROM message_queue
+                WHERE reference_type = 'checkout' AND reference_id = ? AND status = 'sent'
+                LIMIT 1
+            `, [order.checkout_token]);
+
+            await db.run(`
+                UPDATE abandoned_checkouts
+                SET status = ?, order_id = ?, converted_at = datetime('now'), updated_at = datetime('now')
+                WHERE id = ?
+            `, [sent ? 'converted' : 'completed', String(order.id), checkout.id]);
+
+            // Only orders placed after the DM went out count as recovered
+            if (sent) {
+                await db.recordEvent('checkout_recovered', 'webhook', {
+                    checkout_token: order.checkout_token,
+                    order_number: order.order_number,
+                    user_id: checkout.user_id
+                }, parseFloat(order.total_price) || 0);
+                console.log(`💰 Checkout recovered: order ${order.order_number}`);
+            } else if (cancelled > 0) {
+                console.log(`🚫 Recovery DM cancelled, order ${order.order_number} placed first`);
+            }
+
+        } catch (error) {
+            console.error('❌ Error processing checkout conversion:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Checkout conversion');
+            }
+            throw error;
+        }
+    }
+
+    // Recovery statistics for the admin panel
+    async getRecoveryStats() {
+        const stats = await db.get(`
+            SELECT
+                COUNT(*) AS total,
+                SUM(CASE WHEN status IN ('scheduled', 'converted') THEN 1 ELSE 0 END) AS dms,
+                SUM(CASE WHEN status = 'converted' THEN 1 ELSE 0 END) AS converted,
+                SUM(CASE WHEN status = 'converted' THEN total_price ELSE 0 END) AS revenue
+            FROM abandoned_checkouts
+        `);
+        const links = await db.get('SELECT COUNT(*) AS count FROM customer_links');
+
+        return {
+            linkedMembers: links.count,
+            checkouts: stats.total || 0,
+            dmsScheduled: stats.dms || 0,
+            converted: stats.converted || 0,
+            revenue: stats.revenue || 0,
+            conversionRate: stats.dms ? Math.round((stats.converted / stats.dms) * 100) : 0
+        };
+    }
+}
+
+module.exports = CheckoutRecovery;
@@ -0,0 +1,241 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../config');
+const db = require('../database/db');
+const shops = require('./shops');
+const { getProductUrl, formatPriceRange } = require('./storefront');
+
+// New product drop announcements.
+// A products/create is followed by a burst of products/update webhooks while Shopify
+// fills in images and variants, so drops wait for the burst to settle before posting.
+class ProductDrops {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+        this.isDraining = false;
+        this.processingInterval = null;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register(['products/create', 'products/update', 'products/delete'], (product, { topic, shopDomain }) => this.handleProductWebhook(product, topic, shopDomain), {
+            name: 'product_drops',
+            description: 'Announce newly published products in the drops channel',
+            settingKey: 'drops_enabled'
+        });
+    }
+
+    // Start the announcement worker
+    startProcessing() {
+        if (this.processingInterval) {
+            return; // Already running
+        }
+
+        // Check for settled drops every 15 seconds
+        this.processingInterval = setInterval(async () => {
+            await this.processDueDrops();
+        }, 15000);
+    }
+
+    // Stop the announcement worker
+    stopProcessing() {
+        if (this.processingInterval) {
+            clearInterval(this.processingInterval);
+            this.processingInterval = null;
+        }
+    }
+
+    // Route product webhooks
+    async handleProductWebhook(product, topic, shopDomain = null) {
+        try {
+            if (topic === 'products/create') {
+                await this.handleProductCreated(product, shopDomain);
+            } else if (topic === 'products/update') {
+                await this.handleProductUpdated(product);
+            } else if (topic === 'products/delete') {
+                await this.skipDrop(product.id, 'deleted');
+            }
+        } catch (error) {
+            console.error('❌ Error processing product drop:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Product drop processing');
+            }
+            throw error;
+        }
+    }
+
+    // A product is only announced once it is active and published to the storefront
+    isPublishable(product) {
+        if (product.status && product.status !== 'active') {
+            return false;
+        }
+        return !!product.published_at;
+    }
+
+    // Handle products/create webhook
+    async handleProductCreated(product, shopDomain = null) {
+        const status = this.isPublishable(product) ? 'pending' : 'waiting';
+        const debounce = `+${config.features.drops.debounceSeconds} seconds`;
+
+        await db.run(`
+            INSERT INTO product_drops (
+                product_id, shop_domain, title, handle, payload, status, announce_after, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?), datetime('now'), datetime('now'))
+            ON CONFLICT(product_id) DO NOTHING
+        `, [String(product.id), shopDomain, product.title, product.handle, JSON.stringify(product), status, debounce]);
+
+        console.log(`🆕 Product drop ${status === 'pending' ? 'scheduled' : 'waiting for publish'}: ${product.title}`);
+    }
+
+    // Handle products/update webhook (only products first seen through products/create)
+    async handleProductUpdated(product) {
+        const drop = await this.getDrop(product.id);
+        if (!drop || drop.status === 'announced' || drop.status === 'skipped') {
+            return;
+        }
+
+        // Every update restarts the debounce window, so the post uses the settled product
+        const status = this.isPublishable(product) ? 'pending' : 'waiting';
+        const debounce = `+${config.features.drops.debounceSeconds} seconds`;
+
+        await db.run(`
+            UPDATE product_drops
+            SET title = ?, handle = ?, payload = ?, status = ?,
+                announce_after = datetime('now', ?), updated_at = datetime('now')
+            WHERE id = ?
+        `, [product.title, product.handle, JSON.stringify(product), status, debounce, drop.id]);
+    }
+
+    // Never announce a product (e.g. deleted before its drop went out)
+    async skipDrop(productId, reason) {
+        const result = await db.run(`
+            UPDATE product_drops
+            SET status = 'skipped', skip_reason = ?, updated_at = datetime('now')
+            WHERE product_id = ? AND status IN ('pending', 'waiting')
+        `, [reason, String(productId)]);
+
+        if (result.changes > 0) {
+            console.log(`⏭️ Product drop ${productId} skipped (${reason})`);
+        }
+    }
+
+    // Get a drop by Shopify product ID
+    async getDrop(productId) {
+        return await db.get('SELECT * FROM product_drops WHERE product_id = ?', [String(productId)]);
+    }
+
+    // Announce every drop whose debounce window has passed
+    async processDueDrops() {
+        if (this.isDraining) {
+            return;
+        }
+
+        this.isDraining = true;
+        try {
+            const drops = await db.all(`
+                SELECT * FROM product_drops
+                WHERE status = 'pending' AND datetime(announce_after) <= datetime('now')
+                ORDER BY announce_after ASC
+            `);
+
+            for (const drop of drops) {
+                await this.announceDrop(drop);
+            }
+        } catch (error) {
+            console.error('❌ Error processing product drops:', error);
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    // Queue the announcement for a drop
+    async announceDrop(drop) {
+        try {
+            if (!this.messageQueue) {
+                return;
+            }
+
+            const product = JSON.parse(drop.payload);
+            const shop = shops.resolveShop(drop.shop_domain) || shops.getDefaultShop();
+            const message = this.createDropMessage(product, shop.storefrontDomain);
+
+            await this.messageQueue.addMessage({
+                type: 'custom_channel',
+                target_type: 'channel',
+                target_id: config.discord.dropsChannelId,
+                message_data: JSON.stringify(message),
+                priority: 1,
+                reference_type: 'product',
+                reference_id: product.id
+            });
+
+            await db.run(`
+                UPDATE product_drops
+                SET status = 'announced', announced_at = datetime('now'), updated_at = datetime('now')
+                WHERE id = ?
+            `, [drop.id]);
+
+            await db.recordEvent('product_drop', 'webhook', {
+                product_id: product.id,
+                title: product.title
+            });
+
+            console.log(`📣 Product drop announced: ${product.title}`);
+        } catch (error) {
+            console.error(`❌ Failed to announce drop ${drop.product_id}:`, error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Product drop announcement');
+            }
+        }
+    }
+
+    // Build the drop announcement (embed, optional role ping, shop and restock buttons)
+    createDropMessage(product, storefrontDomain) {
+        const productUrl = getProductUrl(product.handle, storefrontDomain);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🆕 New drop: ${product.title}`.slice(0, 256))
+            .setURL(productUrl)
+            .setColor('#ff69b4')
+            .setTimestamp()
+            .setFooter({ text: 'Level Linked' });
+
+        const priceRange = formatPriceRange(product.variants);
+        if (priceRange) {
+            embed.addFields({ name: '💰 Price', value: priceRange, inline: true });
+        }
+
+        const image = product.image?.src || product.images?.[0]?.src;
+        if (image) {
+            embed.setImage(image);
+        }
+
+        const components = [
+            new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setLabel('Shop now')
+                        .setEmoji('🛍️')
+                        .setStyle(ButtonStyle.Link)
+                        .setURL(productUrl),
+                    new ButtonBuilder()
+                        .setCustomId(`notify_restock_${product.id}`)
+                        .setLabel('Notify me when back in stock')
+                        .setEmoji('🔔')
+                        .setStyle(ButtonStyle.Secondary)
+                )
+                .toJSON()
+        ];
+
+        const message = { embeds: [embed.toJSON()], components };
+
+        if (config.discord.dropsRoleId) {
+            message.content = `<@&${config.discord.dropsRoleId}>`;
+            message.allowedMentions = { roles: [config.discord.dropsRoleId] };
+        }
+
+        return message;
+    }
+}
+
+module.exports = ProductDrops;
@@ -0,0 +1,178 @@
+const config = require('../config');
+const db = require('../database/db');
+
+// Fulfillment tracking and "just shipped" social-proof notifications
+class FulfillmentNotifications {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register('orders/fulfilled', (order) => this.handleOrderFulfilled(order), {
+            name: 'order_fulfilled',
+            description: 'Record fulfilled orders and post shipping milestones'
+        });
+
+        registry.register(['fulfillments/create', 'fulfillments/update'], (fulfillment) => this.handleFulfillment(fulfillment), {
+            name: 'fulfillment_milestones',
+            description: 'Track shipments and post "just shipped" / "delivered" messages'
+        });
+    }
+
+    // Handle orders/fulfilled webhook (carries every fulfillment of the order)
+    async handleOrderFulfilled(order) {
+        console.log(`✅ Order ${order.order_number} fulfilled`);
+
+        const fulfillments = order.fulfillments || [];
+        for (const fulfillment of fulfillments) {
+            await this.handleFulfillment({ ...fulfillment, order_id: order.id }, order);
+        }
+
+        if (this.logger) {
+            await this.logger.sendStatusUpdate('Order Fulfilled', `Order ${order.order_number} has been fulfilled`, '#00ff00');
+        }
+    }
+
+    // Handle fulfillments/create and fulfillments/update webhooks
+    async handleFulfillment(fulfillment, order = null) {
+        try {
+            // Only a successful fulfillment has shipped; pending, open, failed, errored and
+            // cancelled ones are stored without a milestone
+            if (fulfillment.status !== 'success') {
+                await this.saveFulfillment(fulfillment, null, null);
+                console.log(`${fulfillment.status === 'cancelled' ? '🚫' : 'ℹ️'} Fulfillment ${fulfillment.id} ${fulfillment.status || 'without status'}, not shipped`);
+                return;
+            }
+
+            const shippedAt = fulfillment.created_at || new Date().toISOString();
+            const deliveredAt = fulfillment.shipment_status === 'delivered'
+                ? (fulfillment.updated_at || new Date().toISOString())
+                : null;
+
+            await this.saveFulfillment(fulfillment, shippedAt, deliveredAt);
+
+            // Shipped milestone (first fulfillment of the order only)
+            if (!(await this.hasMilestone(fulfillment.order_id, 'shipped_notified'))) {
+                const latencyMinutes = await this.recordShipped(fulfillment, shippedAt, order);
+                await this.postMilestone(fulfillment, 'shipped');
+                await this.markMilestone(fulfillment.id, 'shipped_notified');
+                console.log(`📦 Order ${fulfillment.order_id} shipped (${latencyMinutes ?? '?'} min after order)`);
+            }
+
+            // Delivered milestone
+            if (deliveredAt && !(await this.hasMilestone(fulfillment.order_id, 'delivered_notified'))) {
+                await db.recordEvent('order_delivered', 'webhook', {
+                    order_id: fulfillment.order_id,
+                    fulfillment_id: fulfillment.id,
+                    transit_minutes: this.minutesBetween(shippedAt, deliveredAt)
+                });
+                await this.postMilestone(fulfillment, 'delivered');
+                await this.markMilestone(fulfillment.id, 'delivered_notified');
+                console.log(`🏠 Order ${fulfillment.order_id} delivered`);
+            }
+
+        } catch (error) {
+            console.error('❌ Error processing fulfillment:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Fulfillment processing');
+            }
+            throw error;
+        }
+    }
+
+    // Store or update a fulfillment row
+    async saveFulfillment(fulfillment, shippedAt, deliveredAt) {
+        await db.run(`
+            INSERT INTO order_fulfillments (
+                fulfillment_id, order_id, status, shipment_status, tracking_company,
+                shipped_at, delivered_at, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            ON CONFLICT(fulfillment_id) DO UPDATE SET
+                status = excluded.status,
+                shipment_status = excluded.shipment_status,
+                tracking_company = COALESCE(excluded.tracking_company, tracking_company),
+                shipped_at = COALESCE(shipped_at, excluded.shipped_at),
+                delivered_at = COALESCE(delivered_at, excluded.delivered_at),
+                updated_at = datetime('now')
+        `, [
+            String(fulfillment.id),
+            String(fulfillment.order_id),
+            fulfillment.status || null,
+            fulfillment.shipment_status || null,
+            fulfillment.tracking_company || null,
+            shippedAt,
+            deliveredAt
+        ]);
+    }
+
+    // Record order → ship latency on the order row and in analytics
+    async recordShipped(fulfillment, shippedAt, order) {
+        const orderRow = await db.getOrder(fulfillment.order_id);
+
+        // Prefer Shopify's order timestamp, fall back to when we recorded the order
+        const orderedAt = order?.created_at || (orderRow ? `${orderRow.created_at.replace(' ', 'T')}Z` : null);
+        const latencyMinutes = orderedAt ? this.minutesBetween(orderedAt, shippedAt) : null;
+
+        await db.markOrderFulfilled(fulfillment.order_id, shippedAt, latencyMinutes);
+
+        await db.recordEvent('order_fulfilled', 'webhook', {
+            order_id: fulfillment.order_id,
+            order_number: order?.order_number || orderRow?.order_number || null,
+            fulfillment_id: fulfillment.id,
+            tracking_company: fulfillment.tracking_company || null,
+            latency_minutes: latencyMinutes
+        });
+
+        return latencyMinutes;
+    }
+
+    // Check whether a milestone was already posted for any fulfillment of an order
+    async hasMilestone(orderId, column) {
+        const row = await db.get(
+            `SELECT 1 FROM order_fulfillments WHERE order_id = ? AND ${column} = TRUE LIMIT 1`,
+            [String(orderId)]
+        );
+        return !!row;
+    }
+
+    // Mark a milestone as posted
+    async markMilestone(fulfillmentId, column) {
+        await db.run(
+            `UPDATE order_fulfillments SET ${column} = TRUE WHERE fulfillment_id = ?`,
+            [String(fulfillmentId)]
+        );
+    }
+
+    // Queue a social-proof message for a milestone (optional, off by default)
+    async postMilestone(fulfillment, milestone) {
+        const enabled = await db.getSetting('shipping_notifications_enabled', 'false');
+        if (enabled !== 'true' || !this.messageQueue) {
+            return;
+        }
+
+        const productName = fulfillment.line_items?.[0]?.name;
+        const item = productName ? `**${productName}**` : 'an order';
+        const content = milestone === 'delivered'
+            ? `🏠 Someone's ${item} was just delivered!`
+            : `📦 Someone's ${item} just shipped!`;
+
+        await this.messageQueue.addMessage({
+            type: 'custom_channel',
+            target_type: 'channel',
+            target_id: config.discord.shippingChannelId,
+            message_data: JSON.stringify({ content }),
+            priority: 1
+        });
+    }
+
+    // Minutes between two timestamps
+    minutesBetween(start, end) {
+        const minutes = Math.round((new Date(end) - new Date(start)) / 60000);
+        return Number.isNaN(minutes) ? null : Math.max(0, minutes);
+    }
+}
+
+module.exports = FulfillmentNotifications;
@@ -0,0 +1,254 @@
+const ShopifyHttpClient = require('./httpClient');
+
+const { ShopifyApiError } = ShopifyHttpClient;
+
+const GRAPHQL_PATH = ShopifyHttpClient.adminPath('graphql.json');
+
+// Assumed cost of a query until Shopify has told us its real cost once
+const DEFAULT_QUERY_COST = 50;
+
+// Cost bucket per shop, from the last response's extensions.cost.throttleStatus
+const buckets = new Map(); // shop → { available, maximum, restoreRate, updatedAt }
+
+// Requested cost per query text, from the last response
+const queryCosts = new Map();
+
+// Global ID for a REST ID ("123" → "gid://shopify/Product/123")
+function toGid(type, id) {
+    return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+// REST ID for a global ID
+function fromGid(gid) {
+    return gid ? String(gid).split('/').pop() : null;
+}
+
+// Error code for GraphQL errors (THROTTLED and ACCESS_DENIED map onto the REST codes)
+function codeForErrors(errors) {
+    const codes = errors.map(error => error.extensions && error.extensions.code);
+    if (codes.includes('THROTTLED')) return 'rate_limited';
+    if (codes.includes('ACCESS_DENIED')) return 'unauthorized';
+    return 'graphql_error';
+}
+
+// GraphQL Admin API client for one shop, used alongside the REST methods of ShopifyAPIService.
+// Waits for the cost bucket to refill before sending a query it cannot afford, retries
+// THROTTLED responses, and throws ShopifyApiError for GraphQL errors and mutation userErrors.
+class ShopifyGraphQLClient {
+    constructor(http) {
+        this.http = http;
+        this.maxRetries = http.maxRetries;
+    }
+
+    // Run a query (safe to retry, so 5xx and timeouts are retried too)
+    async query(query, variables = {}) {
+        return await this.execute(query, variables, true);
+    }
+
+    // Run a mutation and return its payload, throwing on userErrors
+    async mutate(mutation, variables, payloadKey) {
+        const data = await this.execute(mutation, variables, false);
+        const payload = data[payloadKey];
+
+        if (payload && payload.userErrors && payload.userErrors.length > 0) {
+            throw this.http.recordError(new ShopifyApiError({
+                code: 'user_error',
+                shop: this.http.shopUrl,
+                method: 'GraphQL',
+                path: payloadKey,
+                details: payload.userErrors.map(error => (error.field ? `${error.field.join('.')}: ${error.message}` : error.message)).join('; ')
+            }));
+        }
+
+        return payload;
+    }
+
+    // Send a query or mutation, throttled by the cost bucket
+    async execute(query, variables, idempotent) {
+        const operation = (query.match(/^\s*(?:query|mutation)\s+(\w+)/) || [])[1] || 'operation';
+
+        for (let attempt = 1; ; attempt++) {
+            const waited = await this.waitForCost(query);
+
+            const { data: body } = await this.http.request('POST', GRAPHQL_PATH, {
+                body: { query, variables },
+                idempotent,
+                operation: `GraphQL ${operation}`
+            });
+
+            // A 2xx with an empty body carries neither data nor errors
+            if (!body) {
+                throw this.http.recordError(new ShopifyApiError({
+                    code: 'server_error',
+                    shop: this.http.shopUrl,
+                    method: 'GraphQL',
+                    path: operation,
+                    details: 'Empty response body',
+                    attempts: attempt
+                }));
+            }
+
+            this.updateBucket(query, body.extensions && body.extensions.cost);
+
+            const errors = body.errors || [];
+            if (errors.length === 0) {
+                return body.data;
+            }
+
+            const code = codeForErrors(errors);
+
+            // A throttled operation was never run, so even a mutation can be sent again
+            if (code === 'rate_limited' && attempt <= this.maxRetries) {
+                console.warn(`⏳ Shopify GraphQL ${operation} throttled, waiting for the cost bucket`);
+                if (!waited) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+                continue;
+            }
+
+            throw this.http.recordError(new ShopifyApiError({
+                code,
+                shop: this.http.shopUrl,
+                method: 'GraphQL',
+                path: operation,
+                details: errors.map(error => error.message).join('; '),
+                attempts: attempt
+            }));
+        }
+    }
+
+    // Sleep until the bucket can pay for the query (returns whether it waited)
+    async waitForCost(query) {
+        const bucket = buckets.get(this.http.shopUrl);
+        if (!bucket) {
+            return false;
+        }
+
+        const cost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+        const elapsed = (Date.now() - bucket.updatedAt) / 1000;
+        const available = Math.min(bucket.maximum, bucket.available + elapsed * bucket.restoreRate);
+
+        if (available >= cost) {
+            return false;
+        }
+
+        const delay = Math.ceil((cost - available) / bucket.restoreRate * 1000);
+        this.http.stats.throttled++;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return true;
+    }
+
+    // Remember the bucket and what the query costs
+    updateBucket(query, cost) {
+        if (!cost || !cost.throttleStatus) {
+            return;
+        }
+
+        queryCosts.set(query, cost.requestedQueryCost);
+        buckets.set(this.http.shopUrl, {
+            available: cost.throttleStatus.currentlyAvailable,
+            maximum: cost.throttleStatus.maximumAvailable,
+            restoreRate: cost.throttleStatus.restoreRate,
+            updatedAt: Date.now()
+        });
+    }
+
+    // Product tags, type and collections in one call (null if the product does not exist)
+    async getProductDetails(productId) {
+        const data = await this.query(`
+            query ProductDetails($id: ID!) {
+                product(id: $id) {
+                    id
+                    title
+                    handle
+                    tags
+                    productType
+                    collections(first: 100) {
+                        nodes { id }
+                    }
+                }
+            }
+        `, { id: toGid('Product', productId) });
+
+        if (!data.product) {
+            return null;
+        }
+
+        return {
+            id: fromGid(data.product.id),
+            title: data.product.title,
+            handle: data.product.handle,
+            tags: data.product.tags,
+            productType: data.product.productType,
+            collectionIds: data.product.collections.nodes.map(collection => fromGid(collection.id))
+        };
+    }
+
+    // Customer with the given email (null if there is none)
+    async findCustomerByEmail(email) {
+        const data = await this.query(`
+            query CustomerByEmail($query: String!) {
+                customers(first: 1, query: $query) {
+                    nodes {
+                        id
+                        email
+                        firstName
+                        lastName
+                        numberOfOrders
+                        amountSpent { amount currencyCode }
+                        createdAt
+                    }
+                }
+            }
+        `, { query: `email:"${email.replace(/"/g, '')}"` });
+
+        const customer = data.customers.nodes[0];
+        if (!customer) {
+            return null;
+        }
+
+        return {
+            id: fromGid(customer.id),
+            email: customer.email,
+            firstName: customer.firstName,
+            lastName: customer.lastName,
+            numberOfOrders: parseInt(customer.numberOfOrders) || 0,
+            amountSpent: customer.amountSpent,
+            createdAt: customer.createdAt
+        };
+    }
+
+    // Create a percentage-off discount code for every product and customer
+    // (part of the client's helper set; no bot feature creates discounts yet)
+    async createDiscountCode({ title, code, percentage, startsAt = new Date(), endsAt = null, usageLimit = 1, appliesOncePerCustomer = true }) {
+        const payload = await this.mutate(`
+            mutation DiscountCodeCreate($basicCodeDiscount: DiscountCodeBasicInput!) {
+                discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+                    codeDiscountNode { id }
+                    userErrors { field message }
+                }
+            }
+        `, {
+            basicCodeDiscount: {
+                title,
+                code,
+                startsAt: startsAt instanceof Date ? startsAt.toISOString() : startsAt,
+                endsAt: endsAt instanceof Date ? endsAt.toISOString() : endsAt,
+                usageLimit,
+                appliesOncePerCustomer,
+                context: { all: 'ALL' },
+                customerGets: {
+                    value: { percentage: percentage / 100 },
+                    items: { all: true }
+                }
+            }
+        }, 'discountCodeBasicCreate');
+
+        return { id: fromGid(payload.codeDiscountNode.id), code };
+    }
+}
+
+ShopifyGraphQLClient.toGid = toGid;
+ShopifyGraphQLClient.fromGid = fromGid;
+
+module.exports = ShopifyGraphQLClient;
@@ -0,0 +1,330 @@
+const config = require('../config');
+
+// Shopify's REST bucket leaks limit/20 calls per second (2/s on 40, 20/s on Plus's 400)
+const BUCKET_LEAK_SECONDS = 20;
+
+// Calls kept free in the bucket so webhooks and admin actions are not starved by a sync
+const RESERVED_CALLS = 2;
+
+// Retry-After fallback when a 429 comes without one
+const DEFAULT_RETRY_AFTER_SECONDS = 2;
+
+// Stable versions are released quarterly as YYYY-MM; "unstable" is the preview version
+const API_VERSION_PATTERN = /^(\d{4}-(01|04|07|10)|unstable)$/;
+
+// Methods that are safe to repeat after a 5xx, a timeout or a dropped connection
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Error codes by HTTP status
+function codeForStatus(status) {
+    if (status === 429) return 'rate_limited';
+    if (status === 401 || status === 403) return 'unauthorized';
+    if (status === 404) return 'not_found';
+    if (status >= 500) return 'server_error';
+    return 'client_error';
+}
+
+// Readable message for an API error
+function describeError({ code, method, path, status, statusText, details, retryAfter, attempts, timeoutMs }) {
+    const request = `${method} ${path}`;
+    const tries = attempts > 1 ? ` after ${attempts} attempts` : '';
+
+    switch (code) {
+        case 'timeout':
+            return `${request} timed out after ${timeoutMs / 1000}s${tries}`;
+        case 'network':
+            return `${request} could not reach Shopify${tries}: ${details}`;
+        case 'rate_limited':
+            return `${request} was rate limited by Shopify${tries} (retry after ${retryAfter}s)`;
+        case 'unauthorized':
+            return `${request} was refused${status ? ` (HTTP ${status})` : ''}, check the access token and its scopes`;
+        case 'graphql_error':
+        case 'user_error':
+            return `${request} failed${tries}: ${details}`;
+        default:
+            return `${request} failed${tries}: ${status ? `HTTP ${status} ` : ''}${details || statusText || ''}`.trim();
+    }
+}
+
+// Error thrown for every failed Admin API call, with enough detail to report it
+class ShopifyApiError extends Error {
+    constructor(fields) {
+        super(describeError(fields));
+        this.name = 'ShopifyApiError';
+        this.code = fields.code;
+        this.shop = fields.shop;
+        this.method = fields.method;
+        this.path = fields.path;
+        this.status = fields.status || null;
+        this.details = fields.details || null;
+        this.retryAfter = fields.retryAfter || null;
+        this.attempts = fields.attempts || 1;
+        this.retriable = ['rate_limited', 'server_error', 'timeout', 'network'].includes(fields.code);
+    }
+}
+
+// One client per shop, so every caller shares the shop's call-limit bucket
+const clients = new Map();
+
+// Admin API version every request is made against (SHOPIFY_API_VERSION)
+const apiVersion = config.shopify.api.version;
+
+if (!API_VERSION_PATTERN.test(apiVersion)) {
+    console.warn(`⚠️ SHOPIFY_API_VERSION "${apiVersion}" is not a Shopify API version (expected e.g. 2025-07)`);
+}
+
+// HTTP client for one shop's Admin API.
+// Tracks the X-Shopify-Shop-Api-Call-Limit bucket and waits before it overflows, honors
+// Retry-After on 429, retries 5xx and dropped connections with jittered exponential backoff,
+// aborts requests that take longer than the timeout, and throws ShopifyApiError on failure.
+// Also watches for deprecation headers and for Shopify serving a different API version.
+class ShopifyHttpClient {
+    constructor(shopUrl, accessToken) {
+        this.shopUrl = shopUrl;
+        this.accessToken = accessToken;
+        this.timeoutMs = config.shopify.api.timeoutMs;
+        this.maxRetries = config.shopify.api.maxRetries;
+        this.bucket = null; // { used, limit, updatedAt }
+        this.capacityQueue = Promise.resolve(); // Callers waiting for room in the bucket, in order
+        this.inFlight = 0; // Requests sent but not answered, not yet in the bucket Shopify reported
+        this.stats = { requests: 0, retries: 0, throttled: 0, lastSuccessAt: null, lastError: null };
+        this.servedVersion = null;
+        this.deprecations = new Map(); // endpoint → { reason, count, lastSeenAt }
+    }
+
+    // Path of an Admin API resource in the configured version ("orders.json" → "/admin/api/2025-07/orders.json")
+    static adminPath(resource) {
+        return `/admin/api/${apiVersion}/${resource}`;
+    }
+
+    // Configured Admin API version
+    static get apiVersion() {
+        return apiVersion;
+    }
+
+    // Shared client for a shop
+    static forShop(shopUrl, accessToken) {
+        let client = clients.get(shopUrl);
+        if (!client) {
+            client = new ShopifyHttpClient(shopUrl, accessToken);
+            clients.set(shopUrl, client);
+        }
+        client.accessToken = accessToken;
+        return client;
+    }
+
+    // Status of every shop's client, for the health check
+    static getAllStatus() {
+        return [...clients.values()].map(client => client.getStatus());
+    }
+
+    // Send a request (path relative to the shop, or a full URL such as a pagination link)
+    // and return the parsed body with the response headers.
+    // Pass idempotent for POSTs that are safe to repeat, such as GraphQL queries, and
+    // operation to name the endpoint in deprecation warnings (GraphQL shares one path).
+    async request(method, pathOrUrl, { body = null, timeoutMs = this.timeoutMs, idempotent = IDEMPOTENT_METHODS.includes(method), operation = null } = {}) {
+        const url = pathOrUrl.startsWith('https://') ? pathOrUrl : `https://${this.shopUrl}${pathOrUrl}`;
+        const path = new URL(url).pathname;
+        const canRetry = idempotent;
+        const errorFields = { shop: this.shopUrl, method, path, timeoutMs };
+
+        for (let attempt = 1; ; attempt++) {
+            await this.waitForCapacity();
+            this.stats.requests++;
+
+            let response;
+            let text;
+            try {
+                ({ response, text } = await this.fetchWithTimeout(url, method, body, timeoutMs));
+            } catch (error) {
+                const code = error.name === 'AbortError' ? 'timeout' : 'network';
+                if (canRetry && attempt <= this.maxRetries) {
+                    await this.retryAfterBackoff(attempt, `${code} on ${method} ${path}`);
+                    continue;
+                }
+                throw this.recordError(new ShopifyApiError({ ...errorFields, code, details: error.message, attempts: attempt }));
+            }
+
+            this.updateBucket(response.headers.get('x-shopify-shop-api-call-limit'));
+            this.checkVersionHeaders(response.headers, operation || `${method} ${path}`);
+
+            if (response.ok) {
+                let data = null;
+                try {
+                    data = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    // An HTML maintenance or password page, or a body cut off mid-transfer
+                    if (canRetry && attempt <= this.maxRetries) {
+                        await this.retryAfterBackoff(attempt, `invalid JSON on ${method} ${path}`);
+                        continue;
+                    }
+                    throw this.recordError(new ShopifyApiError({
+                        ...errorFields,
+                        code: 'server_error',
+                        status: response.status,
+                        statusText: response.statusText,
+                        details: `Invalid JSON response: ${text.slice(0, 300)}`,
+                        attempts: attempt
+                    }));
+                }
+
+                this.stats.lastSuccessAt = new Date().toISOString();
+                return { data, headers: response.headers };
+            }
+
+            const details = text.slice(0, 300);
+            const code = codeForStatus(response.status);
+
+            // A 429 was never processed, so even a POST can be sent again
+            if (code === 'rate_limited' && attempt <= this.maxRetries) {
+                const retryAfter = parseFloat(response.headers.get('retry-after')) || DEFAULT_RETRY_AFTER_SECONDS;
+                this.stats.throttled++;
+                this.stats.retries++;
+                console.warn(`⏳ Shopify rate limit on ${method} ${path}, retrying in ${retryAfter}s`);
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                continue;
+            }
+
+            if (code === 'server_error' && canRetry && attempt <= this.maxRetries) {
+                await this.retryAfterBackoff(attempt, `HTTP ${response.status} on ${method} ${path}`);
+                continue;
+            }
+
+            throw this.recordError(new ShopifyApiError({
+                ...errorFields,
+                code,
+                status: response.status,
+                statusText: response.statusText,
+                details,
+                retryAfter: parseFloat(response.headers.get('retry-after')) || null,
+                attempts: attempt
+            }));
+        }
+    }
+
+    // fetch with the access token and read the body, aborted after timeoutMs
+    async fetchWithTimeout(url, method, body, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'X-Shopify-Access-Token': this.accessToken,
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+            return { response, text: await response.text() };
+        } finally {
+            clearTimeout(timer);
+            this.inFlight--;
+        }
+    }
+
+    // Wait with exponential backoff and jitter before retry number `attempt`
+    async retryAfterBackoff(attempt, reason) {
+        const ceiling = Math.min(500 * 2 ** (attempt - 1), 8000);
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        this.stats.retries++;
+        console.warn(`🔁 Shopify ${reason}, retry ${attempt}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Remember the bucket fill from "used/limit"
+    updateBucket(header) {
+        const match = /^(\d+)\/(\d+)$/.exec(header || '');
+        if (match) {
+            this.bucket = { used: parseInt(match[1], 10), limit: parseInt(match[2], 10), updatedAt: Date.now() };
+        }
+    }
+
+    // Calls the bucket is estimated to hold right now (it drains while we wait)
+    estimateUsed() {
+        if (!this.bucket) {
+            return 0;
+        }
+        const leakRate = this.bucket.limit / BUCKET_LEAK_SECONDS;
+        const elapsed = (Date.now() - this.bucket.updatedAt) / 1000;
+        return Math.max(0, this.bucket.used - elapsed * leakRate);
+    }
+
+    // Sleep until the bucket has room for this call plus the reserve.
+    // Concurrent callers take turns, so they cannot all see the same free room and fire together.
+    waitForCapacity() {
+        const turn = this.capacityQueue.then(() => this.reserveCapacity());
+        this.capacityQueue = turn.catch(() => {});
+        return turn;
+    }
+
+    // Wait until the bucket, plus the requests still in flight, has room for this call, then count
+    // it as in flight (fetchWithTimeout releases it once Shopify answered)
+    async reserveCapacity() {
+        if (this.bucket) {
+            const overflow = this.estimateUsed() + this.inFlight - (this.bucket.limit - RESERVED_CALLS - 1);
+            if (overflow > 0) {
+                const delay = Math.ceil(overflow / (this.bucket.limit / BUCKET_LEAK_SECONDS) * 1000);
+                this.stats.throttled++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        this.inFlight++;
+    }
+
+    // Warn (once per endpoint) about deprecated calls, and about Shopify serving another version
+    // than the one requested, which it does when the requested version is no longer supported
+    checkVersionHeaders(headers, endpoint) {
+        const servedVersion = headers.get('x-shopify-api-version');
+        if (servedVersion && servedVersion !== this.servedVersion) {
+            this.servedVersion = servedVersion;
+            if (servedVersion !== apiVersion) {
+                console.warn(`⚠️ Shopify API version ${apiVersion} is not supported by ${this.shopUrl}, it is serving ${servedVersion} instead. Update SHOPIFY_API_VERSION.`);
+            }
+        }
+
+        const reason = headers.get('x-shopify-api-deprecated-reason');
+        if (!reason) {
+            return;
+        }
+
+        const deprecation = this.deprecations.get(endpoint);
+        if (deprecation) {
+            deprecation.count++;
+            deprecation.lastSeenAt = new Date().toISOString();
+            return;
+        }
+
+        console.warn(`⚠️ Deprecated Shopify API call on ${this.shopUrl}: ${endpoint} (${reason})`);
+        this.deprecations.set(endpoint, { reason, count: 1, lastSeenAt: new Date().toISOString() });
+    }
+
+    // Keep the last failure for the health check (a 404 or 422 says nothing about the API's health)
+    recordError(error) {
+        if (error.retriable || error.code === 'unauthorized') {
+            this.stats.lastError = { code: error.code, message: error.message, at: new Date().toISOString() };
+        }
+        return error;
+    }
+
+    // Bucket fill, request counters, API version and deprecated calls, and whether the last request failed
+    getStatus() {
+        const { lastError, lastSuccessAt } = this.stats;
+        return {
+            shop: this.shopUrl,
+            callLimit: this.bucket ? `${Math.round(this.estimateUsed())}/${this.bucket.limit}` : null,
+            failing: !!lastError && (!lastSuccessAt || lastError.at > lastSuccessAt),
+            apiVersion,
+            servedVersion: this.servedVersion,
+            unsupportedVersion: !!this.servedVersion && this.servedVersion !== apiVersion,
+            deprecations: [...this.deprecations].map(([endpoint, deprecation]) => ({ endpoint, ...deprecation })),
+            ...this.stats
+        };
+    }
+}
+
+ShopifyHttpClient.ShopifyApiError = ShopifyApiError;
+
+module.exports = ShopifyHttpClient;
@@ -0,0 +1,338 @@
+const config = require('../config');
+const db = require('../database/db');
+const shops = require('./shops');
+const ShopifyAPIService = require('./api');
+const { getProductUrl } = require('./storefront');
+
+// Back-in-stock DMs for subscribed members and "only N left" urgency posts.
+// inventory_levels/update only carries an inventory item and a location, so the
+// item → product mapping is learned from products/create and products/update.
+// The webhook only carries one location's level, so the first update for an item loads
+// every location's level from the API; from then on the stock is the sum of the levels.
+class InventoryAlerts {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register(['products/create', 'products/update'], (product, { shopDomain }) => this.recordProductInventory(product, shopDomain), {
+            name: 'inventory_catalog',
+            description: 'Map inventory items to products for stock alerts'
+        });
+
+        registry.register('inventory_levels/update', (level, { shopDomain }) => this.handleInventoryLevelUpdate(level, shopDomain), {
+            name: 'inventory_alerts',
+            description: 'Send back-in-stock DMs and low-stock urgency posts'
+        });
+    }
+
+    // Remember which product each tracked variant's inventory item belongs to
+    async recordProductInventory(product, shopDomain = null) {
+        for (const variant of product.variants || []) {
+            // Variants without inventory tracking never go out of stock
+            if (!variant.inventory_item_id || !variant.inventory_management) {
+                continue;
+            }
+
+            await db.run(`
+                INSERT INTO inventory_items (
+                    inventory_item_id, product_id, variant_id, shop_domain, product_title, variant_title,
+                    handle, image_url, tags, quantity, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+                ON CONFLICT(inventory_item_id) DO UPDATE SET
+                    product_id = excluded.product_id,
+                    shop_domain = excluded.shop_domain,
+                    variant_id = excluded.variant_id,
+                    product_title = excluded.product_title,
+                    variant_title = excluded.variant_title,
+                    handle = excluded.handle,
+                    image_url = excluded.image_url,
+                    tags = excluded.tags,
+                    quantity = excluded.quantity,
+                    updated_at = datetime('now')
+            `, [
+                String(variant.inventory_item_id),
+                String(product.id),
+                String(variant.id),
+                shopDomain,
+                product.title,
+                variant.title || null,
+                product.handle || null,
+                product.image ? product.image.src : null,
+                product.tags || null,
+                parseInt(variant.inventory_quantity) || 0
+            ]);
+        }
+    }
+
+    // Handle inventory_levels/update webhook
+    async handleInventoryLevelUpdate(level, shopDomain = null) {
+        try {
+            const item = await db.get(
+                'SELECT * FROM inventory_items WHERE inventory_item_id = ?',
+                [String(level.inventory_item_id)]
+            );
+
+            const before = item ? await this.getProductStock(item.product_id) : null;
+
+            // Locations that never sent a webhook would otherwise count as 0
+            if (item && !item.levels_synced_at) {
+                await this.syncItemLevels(item, shopDomain);
+            }
+
+            await this.saveLevel(level.inventory_item_id, level.location_id, level.available);
+
+            if (!item) {
+                console.log(`⚠️ Inventory item ${level.inventory_item_id} not mapped to a product yet, skipping alerts`);
+                return;
+            }
+
+            const after = await this.getProductStock(item.product_id);
+            console.log(`📦 Stock for ${item.product_title}: ${before} → ${after}`);
+
+            if (before <= 0 && after > 0) {
+                await this.notifyRestockSubscribers(item, after);
+            }
+
+            const threshold = await this.getLowStockThreshold(item.product_id);
+            if (threshold > 0 && after > 0 && after < threshold && before >= threshold) {
+                await this.postLowStockAlert(item, after);
+            }
+
+        } catch (error) {
+            console.error('❌ Error processing inventory level update:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Inventory level update');
+            }
+            throw error;
+        }
+    }
+
+    // Store one location's available stock for an inventory item
+    async saveLevel(inventoryItemId, locationId, available) {
+        await db.run(`
+            INSERT INTO inventory_levels (inventory_item_id, location_id, available, updated_at)
+            VALUES (?, ?, ?, datetime('now'))
+            ON CONFLICT(inventory_item_id, location_id) DO UPDATE SET
+                available = excluded.available,
+                updated_at = datetime('now')
+        `, [String(inventoryItemId), String(locationId), parseInt(available) || 0]);
+    }
+
+    // Load an item's level at every location from the API (throws so the delivery is retried)
+    async syncItemLevels(item, shopDomain = null) {
+        const shop = shops.resolveShop(shopDomain || item.shop_domain) || shops.getDefaultShop();
+        const levels = await new ShopifyAPIService(shop).getInventoryLevels([item.inventory_item_id]);
+
+        for (const level of levels) {
+            await this.saveLevel(level.inventory_item_id, level.location_id, level.available);
+        }
+
+        await db.run(
+            `UPDATE inventory_items SET levels_synced_at = datetime('now') WHERE inventory_item_id = ?`,
+            [item.inventory_item_id]
+        );
+        console.log(`📦 Loaded ${levels.length} location level(s) for ${item.product_title}`);
+    }
+
+    // Total available stock of a product across variants and locations.
+    // Items whose levels were not loaded yet fall back to the variant quantity from the product webhook.
+    async getProductStock(productId) {
+        const row = await db.get(`
+            SELECT SUM(
+                CASE WHEN items.levels_synced_at IS NOT NULL THEN COALESCE(levels.total, 0) ELSE items.quantity END
+            ) AS stock
+            FROM inventory_items items
+            LEFT JOIN (
+                SELECT inventory_item_id, SUM(available) AS total
+                FROM inventory_levels
+                GROUP BY inventory_item_id
+            ) levels ON levels.inventory_item_id = items.inventory_item_id
+            WHERE items.product_id = ?
+        `, [String(productId)]);
+
+        return row && row.stock !== null ? row.stock : 0;
+    }
+
+    // Low-stock threshold for a product (per-product override, else the global setting)
+    async getLowStockThreshold(productId) {
+        const override = await db.get(
+            'SELECT threshold FROM stock_thresholds WHERE product_id = ?',
+            [String(productId)]
+        );
+        if (override) {
+            return override.threshold;
+        }
+        return parseInt(await db.getSetting('low_stock_threshold', '5')) || 0;
+    }
+
+    // Set or clear a per-product low-stock threshold
+    async setLowStockThreshold(productId, threshold) {
+        if (threshold === null) {
+            await db.run('DELETE FROM stock_thresholds WHERE product_id = ?', [String(productId)]);
+            return;
+        }
+
+        await db.run(`
+            INSERT INTO stock_thresholds (product_id, threshold, updated_at)
+            VALUES (?, ?, datetime('now'))
+            ON CONFLICT(product_id) DO UPDATE SET threshold = excluded.threshold, updated_at = datetime('now')
+        `, [String(productId), threshold]);
+    }
+
+    // Subscribe a member to a product's back-in-stock DM (returns false if already subscribed)
+    async subscribe(userId, productId) {
+        const result = await db.run(`
+            INSERT OR IGNORE INTO restock_subscriptions (user_id, product_id, status, created_at)
+            VALUES (?, ?, 'active', datetime('now'))
+        `, [userId, String(productId)]);
+
+        if (result.changes === 0) {
+            // Re-arm a subscription that was already notified or skipped
+            const rearmed = await db.run(`
+                UPDATE restock_subscriptions
+                SET status = 'active', notified_at = NULL, created_at = datetime('now')
+                WHERE user_id = ? AND product_id = ? AND status != 'active'
+            `, [userId, String(productId)]);
+            return rearmed.changes > 0;
+        }
+
+        return true;
+    }
+
+    // Remove a member's subscription
+    async unsubscribe(userId, productId) {
+        const result = await db.run(
+            `DELETE FROM restock_subscriptions WHERE user_id = ? AND product_id = ? AND status = 'active'`,
+            [userId, String(productId)]
+        );
+        return result.changes > 0;
+    }
+
+    // Queue back-in-stock DMs for every active subscriber of a product
+    async notifyRestockSubscribers(item, stock) {
+        const subscriptions = await db.all(
+            `SELECT * FROM restock_subscriptions WHERE product_id = ? AND status = 'active'`,
+            [item.product_id]
+        );
+
+        if (subscriptions.length === 0 || !this.messageQueue) {
+            return;
+        }
+
+        const guild = this.client ? this.client.guilds.cache.get(config.discord.guildId) : null;
+        const productUrl = this.getItemUrl(item);
+        let queued = 0;
+
+        for (const subscription of subscriptions) {
+            const status = await this.canDM(guild, subscription.user_id) ? 'notified' : 'skipped';
+
+            if (status === 'notified') {
+                await this.messageQueue.addMessage({
+                    type: 'custom_dm',
+                    target_type: 'user',
+                    target_id: subscription.user_id,
+                    message_data: JSON.stringify({
+                        content: `🔔 **${item.product_title}** is back in stock! Grab it before it's gone: ${productUrl}`
+                    }),
+                    priority: 1,
+                    reference_type: 'restock',
+                    reference_id: item.product_id
+                });
+                queued++;
+            }
+
+            await db.run(`
+                UPDATE restock_subscriptions SET status = ?, notified_at = datetime('now') WHERE id = ?
+            `, [status, subscription.id]);
+        }
+
+        await db.recordEvent('back_in_stock', 'webhook', {
+            product_id: item.product_id,
+            title: item.product_title,
+            stock: stock,
+            subscribers: subscriptions.length,
+            dms_queued: queued
+        });
+
+        console.log(`🔔 Back in stock: ${item.product_title} (${queued}/${subscriptions.length} DMs queued)`);
+    }
+
+    // Storefront link for an inventory item's product (on the shop it belongs to)
+    getItemUrl(item) {
+        const shop = shops.resolveShop(item.shop_domain) || shops.getDefaultShop();
+        return getProductUrl(item.handle, shop.storefrontDomain);
+    }
+
+    // Subscribers who left, have the closed-DMs role or opted out are skipped
+    async canDM(guild, userId) {
+        const member = guild ? await guild.members.fetch(userId).catch(() => null) : null;
+        if (!member || member.roles.cache.has(config.discord.closedDmsRoleId)) {
+            return false;
+        }
+
+        const tracking = await db.getMember(userId);
+        return !(tracking && tracking.opt_out_at);
+    }
+
+    // Post an "only N left" message to the stock alert channel
+    async postLowStockAlert(item, stock) {
+        const enabled = await db.getSetting('low_stock_alerts_enabled', 'false');
+        if (enabled !== 'true' || !this.messageQueue) {
+            return;
+        }
+
+        await this.messageQueue.addMessage({
+            type: 'custom_channel',
+            target_type: 'channel',
+            target_id: config.discord.stockAlertChannelId,
+            message_data: JSON.stringify({
+                content: `⏳ Only **${stock}** left of **[${item.product_title}](${this.getItemUrl(item)})**!`
+            }),
+            priority: 1,
+            reference_type: 'product',
+            reference_id: item.product_id
+        });
+
+        await db.recordEvent('low_stock', 'webhook', {
+            product_id: item.product_id,
+            title: item.product_title,
+            stock: stock
+        });
+
+        console.log(`⏳ Low stock alert queued: ${item.product_title} (${stock} left)`);
+    }
+
+    // Overview for the admin panel
+    async getStockAlertStats() {
+        const subscriptions = await db.all(`
+            SELECT s.product_id, MAX(i.product_title) AS title, COUNT(DISTINCT s.user_id) AS subscribers
+            FROM restock_subscriptions s
+            LEFT JOIN inventory_items i ON i.product_id = s.product_id
+            WHERE s.status = 'active'
+            GROUP BY s.product_id
+            ORDER BY subscribers DESC
+            LIMIT 10
+        `);
+
+        const thresholds = await db.all(`
+            SELECT t.product_id, t.threshold, MAX(i.product_title) AS title
+            FROM stock_thresholds t
+            LEFT JOIN inventory_items i ON i.product_id = t.product_id
+            GROUP BY t.product_id
+            ORDER BY title
+        `);
+
+        return {
+            enabled: (await db.getSetting('low_stock_alerts_enabled', 'false')) === 'true',
+            defaultThreshold: parseInt(await db.getSetting('low_stock_threshold', '5')) || 0,
+            subscriptions,
+            thresholds
+        };
+    }
+}
+
+module.exports = InventoryAlerts;
@@ -0,0 +1,257 @@
+const db = require('../database/db');
+const shops = require('./shops');
+const OrderRouter = require('./orderRouter');
+const ProductCategorizer = require('./categorizer');
+const { getProductUrl, getSearchUrl } = require('./storefront');
+const { createOrderEmbed, createOrderDigestEmbed, createShopNowButton, getOrderReactions } = require('../discord/embeds');
+
+// How an order is announced:
+// single   - one message summarizing the cart ("... and 2 more")
+// per_item - one message per line item
+// top_item - one message for the most expensive line item only
+const ORDER_NOTIFICATION_MODES = ['single', 'per_item', 'top_item'];
+
+// How a notification is posted (per channel, see getStyle)
+const ORDER_NOTIFICATION_STYLES = ['embed', 'text'];
+
+// Line items named in a single-message summary before "and N more"
+const MAX_LISTED_ITEMS = 3;
+
+// Best sellers named in a digest of missed orders
+const MAX_DIGEST_ITEMS = 5;
+
+// Builds and queues "Someone ordered" notifications.
+// Shared by the webhook path and OfflineOrderSync so both announce orders the same way.
+class OrderNotifier {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+        this.router = new OrderRouter();
+        this.categorizer = new ProductCategorizer(logger);
+    }
+
+    // Current notification mode
+    async getMode() {
+        const mode = await db.getSetting('order_notification_mode', 'single');
+        return ORDER_NOTIFICATION_MODES.includes(mode) ? mode : 'single';
+    }
+
+    // Post style of a channel ('embed' or 'text'), falling back to the global style
+    async getStyle(channelId) {
+        const style = await db.getSetting(`order_notification_style:${channelId}`)
+            || await db.getSetting('order_notification_style', 'embed');
+        return ORDER_NOTIFICATION_STYLES.includes(style) ? style : 'embed';
+    }
+
+    // Queue the notification(s) for an order and mark it as notified
+    async notifyOrder(orderData, shop = shops.getDefaultShop(), { source = 'webhook' } = {}) {
+        const lineItems = this.getLineItems(orderData);
+        if (lineItems.length === 0) {
+            console.log(`⚠️ Order ${orderData.order_number} has no line items to announce`);
+            await db.markNotificationSent(orderData.id); // Nothing to retry
+            return 0;
+        }
+
+        const mode = await this.getMode();
+        const products = [];
+        for (const lineItem of lineItems) {
+            products.push(await this.toProduct(lineItem, shop));
+        }
+
+        // Each notification is routed on its own products, then styled per channel
+        let sent = 0;
+        for (const group of this.groupProducts(products, mode)) {
+            const channelIds = await this.router.resolveChannels(orderData, group, shop);
+            for (const channelId of channelIds) {
+                const style = await this.getStyle(channelId);
+                await this.sendNotification(channelId, this.buildMessage(orderData, group[0], group.slice(1), shop, style), orderData.id);
+                sent++;
+            }
+        }
+
+        await db.markNotificationSent(orderData.id);
+
+        // Log once per order, under the item that leads the notification
+        if (this.logger) {
+            await this.logger.logOrder(orderData, products[0], products[0].category);
+        }
+
+        console.log(`✅ ${source === 'api_sync' ? 'Offline order' : 'Order'} ${orderData.order_number}: ${sent} notification(s) queued (${mode})`);
+        return sent;
+    }
+
+    // Queue one summary of several orders ("While we were away, 14 orders came in") instead of
+    // a post per order; goes to the shop's notification channel (or the fallback routing rule)
+    async notifyDigest(orders, shop = shops.getDefaultShop()) {
+        // Units sold per product across every order
+        const items = new Map();
+        for (const orderData of orders) {
+            for (const lineItem of this.getLineItems(orderData)) {
+                const key = lineItem.product_id || lineItem.name;
+                const item = items.get(key) || { lineItem, quantity: 0 };
+                item.quantity += parseInt(lineItem.quantity) || 1;
+                items.set(key, item);
+            }
+        }
+
+        const ranked = [...items.values()].sort((a, b) => b.quantity - a.quantity);
+        const topItems = [];
+        for (const { lineItem, quantity } of ranked.slice(0, MAX_DIGEST_ITEMS)) {
+            topItems.push({ ...await this.toProduct(lineItem, shop), quantity });
+        }
+        const moreCount = ranked.length - topItems.length;
+
+        let sent = 0;
+        for (const channelId of await this.router.resolveChannels({}, [], shop)) {
+            const style = await this.getStyle(channelId);
+            await this.sendNotification(channelId, this.buildDigestMessage(orders.length, topItems, moreCount, shop, style));
+            sent++;
+        }
+
+        for (const orderData of orders) {
+            await db.markNotificationSent(orderData.id);
+        }
+
+        console.log(`✅ Digest of ${orders.length} orders for ${shop.domain}: ${sent} notification(s) queued`);
+        return sent;
+    }
+
+    // Digest message: order count and the best sellers
+    buildDigestMessage(orderCount, topItems, moreCount, shop, style) {
+        if (style === 'embed') {
+            return {
+                embeds: [createOrderDigestEmbed(orderCount, topItems, {
+                    moreCount,
+                    footerText: shop.storefrontDomain
+                }).toJSON()]
+            };
+        }
+
+        const names = topItems.map(item => `${item.quantity > 1 ? `${item.quantity}× ` : ''}**[${item.name}](${item.url})**`);
+        const summary = moreCount > 0 ? `${names.join(', ')} and ${moreCount} more` : names.join(', ');
+        const orders = `${orderCount} order${orderCount === 1 ? '' : 's'}`;
+
+        return { content: `While we were away, ${orders} came in${summary ? `: top items ${summary}` : ''}!` };
+    }
+
+    // Line items still on the order, most valuable first
+    getLineItems(orderData) {
+        return (orderData.line_items || [])
+            .filter(lineItem => (lineItem.quantity === undefined ? 1 : parseInt(lineItem.quantity)) > 0)
+            .sort((a, b) => this.lineTotal(b) - this.lineTotal(a));
+    }
+
+    // Price × quantity of a line item
+    lineTotal(lineItem) {
+        return (parseFloat(lineItem.price) || 0) * (parseInt(lineItem.quantity) || 1);
+    }
+
+    // Products of each notification for the selected mode (the first product leads)
+    groupProducts(products, mode) {
+        if (mode === 'per_item') {
+            return products.map(product => [product]);
+        }
+
+        if (mode === 'top_item') {
+            return [[products[0]]];
+        }
+
+        return [products];
+    }
+
+    // One notification: the lead product plus any other items of the cart
+    buildMessage(orderData, product, otherProducts, shop, style) {
+        const listed = otherProducts.slice(0, MAX_LISTED_ITEMS - 1);
+        const moreCount = otherProducts.length - listed.length;
+
+        if (style === 'embed') {
+            return {
+                embeds: [createOrderEmbed(orderData, product, product.category, {
+                    otherItems: listed,
+                    moreCount,
+                    footerText: shop.storefrontDomain
+                }).toJSON()],
+                components: [createShopNowButton(product.url).toJSON()]
+            };
+        }
+
+        const names = [product, ...listed].map(item => `${item.quantity > 1 ? `${item.quantity}× ` : ''}**[${item.name}](${item.url})**`);
+        const summary = moreCount > 0
+            ? `${names.join(', ')} and ${moreCount} more`
+            : names.length > 1
+                ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+                : names[0];
+
+        return { content: `Someone ordered ${summary}!` };
+    }
+
+    // Queue a notification (or send it directly when the queue is not available).
+    // Pass the order ID so the post can be found again, e.g. to retract it.
+    async sendNotification(channelId, messageData, orderId = null) {
+        if (this.messageQueue) {
+            await this.messageQueue.addMessage({
+                type: 'order',
+                target_type: 'channel',
+                target_id: channelId,
+                message_data: JSON.stringify(messageData),
+                priority: 2, // High priority for order notifications
+                reference_type: orderId ? 'order' : null,
+                reference_id: orderId
+            });
+            return;
+        }
+
+        console.warn('❌ Message queue not available, sending directly');
+        const channel = this.client ? this.client.channels.cache.get(channelId) : null;
+        if (!channel) {
+            console.warn('❌ Notification channel not found');
+            return;
+        }
+
+        const message = await channel.send(messageData);
+
+        // Add automatic reactions after 15 seconds
+        setTimeout(async () => {
+            try {
+                const reactions = getOrderReactions();
+                for (const reaction of reactions) {
+                    await message.react(reaction);
+                }
+                console.log(`✅ Added ${reactions.length} reactions to order notification`);
+            } catch (error) {
+                console.error('❌ Failed to add reactions:', error);
+            }
+        }, 15000); // 15 second delay
+
+        console.log('✅ Order notification sent to channel (fallback)');
+    }
+
+    // Product details of a line item, with its catalog link, image and category
+    async toProduct(lineItem, shop) {
+        const catalog = await db.getCatalogProduct(lineItem.product_id);
+        const product = {
+            id: lineItem.product_id,
+            name: lineItem.name,
+            price: lineItem.price,
+            quantity: parseInt(lineItem.quantity) || 1,
+            image_url: lineItem.image_url || (catalog && catalog.image_url) || null,
+            product_id: lineItem.product_id,
+            // Link by handle, or a storefront search when the handle is not known yet
+            url: catalog && catalog.handle
+                ? getProductUrl(catalog.handle, shop.storefrontDomain)
+                : getSearchUrl(lineItem.name, shop.storefrontDomain)
+        };
+
+        // Tags fetched for categorization also drive tag routing rules
+        const { category, details } = await this.categorizer.explain(lineItem.product_id, shop);
+        product.category = category;
+        product.tags = details ? details.tags : [];
+        return product;
+    }
+}
+
+OrderNotifier.MODES = ORDER_NOTIFICATION_MODES;
+OrderNotifier.STYLES = ORDER_NOTIFICATION_STYLES;
+
+module.exports = OrderNotifier;
@@ -0,0 +1,177 @@
+const { EmbedBuilder } = require('discord.js');
+const db = require('../database/db');
+
+const RETRACTION_MODES = ['delete', 'edit', 'leave'];
+
+// Retracts or annotates order notifications when an order is cancelled or refunded
+class OrderRetractions {
+    constructor(client, logger, messageQueue) {
+        this.client = client;
+        this.logger = logger;
+        this.messageQueue = messageQueue;
+    }
+
+    // Register webhook topic handlers
+    registerHandlers(registry) {
+        registry.register('orders/cancelled', (order) => this.handleOrderCancelled(order), {
+            name: 'order_cancellations',
+            description: 'Retract or annotate notifications for cancelled orders'
+        });
+
+        registry.register('refunds/create', (refund) => this.handleRefundCreated(refund), {
+            name: 'order_refunds',
+            description: 'Retract or annotate notifications for fully refunded orders'
+        });
+    }
+
+    // Get the configured retraction mode ('delete', 'edit' or 'leave')
+    async getRetractionMode() {
+        const mode = await db.getSetting('order_retraction_mode', 'edit');
+        return RETRACTION_MODES.includes(mode) ? mode : 'edit';
+    }
+
+    // Handle orders/cancelled webhook
+    async handleOrderCancelled(order) {
+        try {
+            console.log(`🚫 Processing cancelled order: ${order.order_number}`);
+
+            const mode = await this.getRetractionMode();
+            const result = await this.retractOrderNotifications(order.id, mode, 'Cancelled');
+
+            await db.markOrderCancelled(order.id, order.cancelled_at, order.cancel_reason);
+
+            await db.recordEvent('order_cancelled', 'webhook', {
+                order_number: order.order_number,
+                total_price: order.total_price,
+                currency: order.currency,
+                reason: order.cancel_reason || null,
+                retraction: mode,
+                messages_retracted: result.retracted,
+                pending_cancelled: result.cancelled
+            });
+
+            console.log(`✅ Cancelled order ${order.order_number} handled (${mode})`);
+        } catch (error) {
+            console.error('❌ Error processing cancelled order:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Order cancellation');
+            }
+            throw error;
+        }
+    }
+
+    // Handle refunds/create webhook
+    async handleRefundCreated(refund) {
+        try {
+            console.log(`💸 Processing refund ${refund.id} for order ${refund.order_id}`);
+
+            // Only successful refund transactions move money back to the customer
+            const amount = (refund.transactions || [])
+                .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+                .reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+
+            const order = await db.getOrder(refund.order_id);
+
+            // A retried or replayed delivery finds its refund already stored and is not counted again
+            const isNew = await db.recordOrderRefund(refund.id, refund.order_id, amount, refund.created_at);
+
+            // Partial refunds keep the notification; a full refund is treated like a cancellation
+            let fullyRefunded = false;
+            if (order) {
+                const refundedTotal = await db.getOrderRefundedAmount(refund.order_id);
+                fullyRefunded = refundedTotal >= parseFloat(order.total_price || 0);
+            }
+            const mode = fullyRefunded ? await this.getRetractionMode() : 'leave';
+
+            if (isNew) {
+                await db.recordEvent('order_refund', 'webhook', {
+                    order_id: refund.order_id,
+                    order_number: order?.order_number || null,
+                    refund_id: refund.id,
+                    amount: amount,
+                    retraction: mode
+                }, -amount);
+            }
+
+            // Retraction is safe to repeat when a retry follows a failed Discord edit or delete
+            if (fullyRefunded) {
+                await this.retractOrderNotifications(refund.order_id, mode, 'Refunded');
+            }
+
+            console.log(`✅ Refund ${refund.id} handled (${mode})`);
+        } catch (error) {
+            console.error('❌ Error processing refund:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Order refund');
+            }
+            throw error;
+        }
+    }
+
+    // Apply the retraction mode to every notification for an order
+    async retractOrderNotifications(orderId, mode, label) {
+        const result = { retracted: 0, cancelled: 0 };
+
+        if (!this.messageQueue) {
+            return result;
+        }
+
+        // Notifications still waiting in the queue are never posted
+        if (mode !== 'leave') {
+            result.cancelled = await this.messageQueue.cancelPendingMessages('order', orderId);
+        }
+
+        const postedMessages = await this.messageQueue.getPostedMessages('order', orderId);
+
+        for (const posted of postedMessages) {
+            if (mode === 'leave' || posted.status === 'deleted') {
+                continue;
+            }
+
+            try {
+                const channel = await this.client.channels.fetch(posted.channel_id);
+                const message = await channel.messages.fetch(posted.message_id);
+
+                if (mode === 'delete') {
+                    await message.delete();
+                    await this.messageQueue.updatePostedMessageStatus(posted.id, 'deleted');
+                } else if (posted.status !== 'edited') {
+                    await message.edit(this.createRetractedContent(message, label));
+                    await this.messageQueue.updatePostedMessageStatus(posted.id, 'edited');
+                }
+
+                result.retracted++;
+            } catch (error) {
+                // Message may already have been removed by a moderator
+                console.error(`❌ Failed to retract message ${posted.message_id}:`, error);
+            }
+        }
+
+        return result;
+    }
+
+    // Strike through a notification's text and mark it with the label
+    createRetractedContent(message, label) {
+        const edited = {};
+
+        if (message.content) {
+            edited.content = `~~${message.content}~~ *(${label})*`;
+        }
+
+        if (message.embeds && message.embeds.length > 0) {
+            edited.embeds = message.embeds.map(embed => {
+                const retracted = EmbedBuilder.from(embed).setColor('#808080');
+                if (embed.title) {
+                    retracted.setTitle(`~~${embed.title}~~ (${label})`.slice(0, 256));
+                }
+                return retracted;
+            });
+        }
+
+        return edited;
+    }
+}
+
+OrderRetractions.MODES = RETRACTION_MODES;
+
+module.exports = OrderRetractions;
@@ -0,0 +1,117 @@
+const db = require('../database/db');
+
+// Rule types:
+// category   - any product of the notification is in the category (match_value = category name)
+// total_over - the order total is above the amount (match_value = amount)
+// tag        - any product of the notification carries the Shopify tag (match_value = tag)
+// fallback   - used instead of the shop's channel when no other rule matches
+const RULE_TYPES = ['category', 'total_over', 'tag', 'fallback'];
+
+// Decides which channels an order notification is posted to.
+// Every matching rule adds its channel; with no match the notification goes to the
+// fallback rule's channel, else to the shop's notification channel.
+class OrderRouter {
+    // Active rules for a shop (rules without a shop apply to every shop)
+    async getRules(shopDomain = null) {
+        return await db.all(`
+            SELECT * FROM order_routing_rules
+            WHERE is_active = TRUE AND (shop_domain IS NULL OR shop_domain = ?)
+            ORDER BY id
+        `, [shopDomain]);
+    }
+
+    // Channels for a notification about the given products of an order
+    async resolveChannels(orderData, products, shop) {
+        const rules = await this.getRules(shop.domain);
+        const channels = [];
+
+        for (const rule of rules) {
+            if (rule.rule_type !== 'fallback' && this.matches(rule, orderData, products) && !channels.includes(rule.channel_id)) {
+                channels.push(rule.channel_id);
+            }
+        }
+
+        if (channels.length > 0) {
+            return channels;
+        }
+
+        // Shop-specific fallbacks win over global ones
+        const fallback = rules
+            .filter(rule => rule.rule_type === 'fallback')
+            .sort((a, b) => (b.shop_domain ? 1 : 0) - (a.shop_domain ? 1 : 0))[0];
+
+        return [fallback ? fallback.channel_id : shop.notificationChannelId];
+    }
+
+    // Check a rule against an order and the products of its notification
+    matches(rule, orderData, products) {
+        const value = (rule.match_value || '').trim().toLowerCase();
+
+        switch (rule.rule_type) {
+            case 'category':
+                return products.some(product => product.category && product.category.name.toLowerCase() === value);
+            case 'total_over':
+                return (parseFloat(orderData.total_price) || 0) > (parseFloat(value) || 0);
+            case 'tag':
+                return products.some(product => this.getTags(product).includes(value));
+            default:
+                return false;
+        }
+    }
+
+    // Lower-cased Shopify tags of a product ("a, b" string or array)
+    getTags(product) {
+        const tags = Array.isArray(product.tags) ? product.tags : (product.tags || '').split(',');
+        return tags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    }
+
+    // Add a rule (returns its ID)
+    async addRule({ ruleType, matchValue = null, channelId, shopDomain = null }) {
+        if (!RULE_TYPES.includes(ruleType)) {
+            throw new Error(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+        if (ruleType !== 'fallback' && !matchValue) {
+            throw new Error(`A ${ruleType} rule needs a value to match`);
+        }
+        if (ruleType === 'total_over' && Number.isNaN(parseFloat(matchValue))) {
+            throw new Error('The order total must be a number');
+        }
+
+        const result = await db.run(`
+            INSERT INTO order_routing_rules (rule_type, match_value, channel_id, shop_domain, is_active, created_at)
+            VALUES (?, ?, ?, ?, TRUE, datetime('now'))
+        `, [ruleType, ruleType === 'fallback' ? null : matchValue, channelId, shopDomain]);
+
+        return result.lastID;
+    }
+
+    // Remove a rule (returns false if it does not exist)
+    async removeRule(ruleId) {
+        const result = await db.run('DELETE FROM order_routing_rules WHERE id = ?', [ruleId]);
+        return result.changes > 0;
+    }
+
+    // Every rule, for the admin panel
+    async listRules() {
+        return await db.all('SELECT * FROM order_routing_rules ORDER BY id');
+    }
+
+    // Readable summary of a rule
+    describeRule(rule) {
+        const scope = rule.shop_domain ? ` (${rule.shop_domain} only)` : '';
+        switch (rule.rule_type) {
+            case 'category':
+                return `Category **${rule.match_value}** → <#${rule.channel_id}>${scope}`;
+            case 'total_over':
+                return `Order total over **${rule.match_value}** → <#${rule.channel_id}>${scope}`;
+            case 'tag':
+                return `Product tag **${rule.match_value}** → <#${rule.channel_id}>${scope}`;
+            default:
+                return `Fallback → <#${rule.channel_id}>${scope}`;
+        }
+    }
+}
+
+OrderRouter.RULE_TYPES = RULE_TYPES;
+
+module.exports = OrderRouter;
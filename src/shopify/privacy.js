@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const { AttachmentBuilder } = require('discord.js');
+const config = require('../config');
+const db = require('../database/db');
+const shops = require('./shops');
+
+const REDACTED_PAYLOAD = JSON.stringify({ redacted: true });
+
+// Build "?, ?, ?" for an IN (...) clause
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+// Shopify's mandatory privacy webhooks (customers/data_request, customers/redact, shop/redact).
+// Every request is written to privacy_requests with a summary of what was found or removed;
+// the customer email is only kept as a hash so the audit trail holds no personal data.
+class PrivacyCompliance {
+    constructor(client, logger) {
+        this.client = client;
+        this.logger = logger;
+    }
+
+    // Register webhook topic handlers (required, they can never be switched off)
+    registerHandlers(registry) {
+        registry.register('customers/data_request', (body, context) => this.handleDataRequest(body, context), {
+            name: 'privacy_data_request',
+            description: 'Export everything stored about a customer',
+            required: true
+        });
+
+        registry.register('customers/redact', (body, context) => this.handleCustomerRedact(body, context), {
+            name: 'privacy_customer_redact',
+            description: 'Scrub everything stored about a customer',
+            required: true
+        });
+
+        registry.register('shop/redact', (body) => this.handleShopRedact(body), {
+            name: 'privacy_shop_redact',
+            description: 'Remove all store data after the app is uninstalled',
+            required: true
+        });
+    }
+
+    // Handle customers/data_request webhook
+    async handleDataRequest(body, context = {}) {
+        try {
+            const customer = body.customer || {};
+            console.log(`🔒 Processing customer data request ${body.data_request?.id || ''}`);
+
+            const records = await this.findCustomerRecords(customer, body.orders_requested);
+            const summary = this.summarize(records);
+
+            const exportData = {
+                shop_domain: body.shop_domain,
+                data_request_id: body.data_request?.id || null,
+                customer: { id: customer.id || null, email: customer.email || null, phone: customer.phone || null },
+                generated_at: new Date().toISOString(),
+                records
+            };
+
+            const requestId = await this.recordRequest('customers/data_request', body, summary, exportData);
+            await this.postExport(requestId, exportData);
+            await this.redactInboxPayload(context.webhookId);
+
+            console.log(`✅ Customer data request ${requestId} exported`);
+        } catch (error) {
+            console.error('❌ Error processing customer data request:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Customer data request');
+            }
+            throw error;
+        }
+    }
+
+    // Handle customers/redact webhook
+    async handleCustomerRedact(body, context = {}) {
+        try {
+            const customer = body.customer || {};
+            console.log('🔒 Processing customer redaction');
+
+            const records = await this.findCustomerRecords(customer, body.orders_to_redact);
+            const summary = await this.redactCustomerRecords(records);
+
+            // Earlier data exports for the same customer hold the data being removed
+            const emailHash = this.hashEmail(customer.email);
+            summary.privacy_exports = emailHash
+                ? (await db.run(`UPDATE privacy_requests SET export_data = NULL WHERE email_hash = ? AND export_data IS NOT NULL`, [emailHash])).changes
+                : 0;
+
+            const requestId = await this.recordRequest('customers/redact', body, summary, null);
+            await this.redactInboxPayload(context.webhookId);
+
+            if (this.logger) {
+                await this.logger.sendStatusUpdate('Customer Data Redacted', `Privacy request #${requestId}: ${this.describeSummary(summary)}`, '#808080');
+            }
+
+            console.log(`✅ Customer redaction ${requestId} completed`);
+        } catch (error) {
+            console.error('❌ Error processing customer redaction:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Customer redaction');
+            }
+            throw error;
+        }
+    }
+
+    // Handle shop/redact webhook (sent 48 hours after the app is uninstalled).
+    // Rows are removed for the uninstalled shop only; data shared between shops
+    // (members, checkouts, subscriptions) is wiped once no other shop is served.
+    async handleShopRedact(body) {
+        try {
+            console.log(`🔒 Processing shop redaction for ${body.shop_domain}`);
+
+            const shop = shops.resolveShop(body.shop_domain);
+            if (!shop) {
+                await this.recordRequest('shop/redact', body, { ignored: `unknown shop ${body.shop_domain}` }, null);
+                console.log(`⚠️ Shop redaction for unknown shop ${body.shop_domain}, nothing to remove`);
+                return;
+            }
+
+            // Rows stored before multi-store support have no shop and belong to the default shop
+            const isDefault = shop.domain === shops.getDefaultShop().domain;
+            const shopFilter = isDefault ? '(shop_domain = ? OR shop_domain IS NULL)' : 'shop_domain = ?';
+            const summary = {};
+
+            summary.order_fulfillments = (await db.run(
+                `DELETE FROM order_fulfillments WHERE order_id IN (SELECT CAST(id AS TEXT) FROM orders WHERE ${shopFilter})`,
+                [shop.domain]
+            )).changes;
+            summary.order_refunds = (await db.run(
+                `DELETE FROM order_refunds WHERE order_id IN (SELECT CAST(id AS TEXT) FROM orders WHERE ${shopFilter})`,
+                [shop.domain]
+            )).changes;
+            summary.inventory_levels = (await db.run(
+                `DELETE FROM inventory_levels WHERE inventory_item_id IN (SELECT inventory_item_id FROM inventory_items WHERE ${shopFilter})`,
+                [shop.domain]
+            )).changes;
+
+            for (const table of ['orders', 'order_line_items', 'processed_orders', 'product_drops', 'inventory_items', 'products']) {
+                summary[table] = (await db.run(`DELETE FROM ${table} WHERE ${shopFilter}`, [shop.domain])).changes;
+            }
+
+            summary.webhook_inbox = (await db.run(
+                `UPDATE webhook_inbox SET payload = ? WHERE payload != ? AND ${shopFilter}`,
+                [REDACTED_PAYLOAD, REDACTED_PAYLOAD, shop.domain]
+            )).changes;
+
+            await shops.deactivateShop(shop.domain);
+
+            if (shops.shops.size === 0) {
+                for (const table of ['order_fulfillments', 'abandoned_checkouts', 'customer_links', 'restock_subscriptions', 'stock_thresholds']) {
+                    summary[table] = (summary[table] || 0) + (await db.run(`DELETE FROM ${table}`)).changes;
+                }
+
+                // Aggregate counts and revenue stay, the per-order details do not
+                summary.analytics = (await db.run(`UPDATE analytics SET metadata = NULL WHERE metadata IS NOT NULL`)).changes;
+                summary.message_queue = (await db.run(`DELETE FROM message_queue WHERE reference_type IN ('checkout', 'restock')`)).changes;
+                summary.privacy_exports = (await db.run(`UPDATE privacy_requests SET export_data = NULL WHERE export_data IS NOT NULL`)).changes;
+            }
+
+            const requestId = await this.recordRequest('shop/redact', body, summary, null);
+
+            if (this.logger) {
+                await this.logger.sendStatusUpdate('Shop Data Redacted', `Privacy request #${requestId} (${shop.domain}): ${this.describeSummary(summary)}`, '#808080');
+            }
+
+            console.log(`✅ Shop redaction ${requestId} completed`);
+        } catch (error) {
+            console.error('❌ Error processing shop redaction:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Shop redaction');
+            }
+            throw error;
+        }
+    }
+
+    // Locate every row tied to a customer (by email, linked member and order IDs)
+    async findCustomerRecords(customer, requestedOrderIds = []) {
+        const email = (customer.email || '').trim().toLowerCase();
+        const records = {};
+
+        // Orders by ID from Shopify plus any stored under the customer's email
+        let orderSql = 'SELECT * FROM orders WHERE 0';
+        const orderParams = [];
+        const requested = (requestedOrderIds || []).map(String);
+        if (requested.length > 0) {
+            orderSql += ` OR id IN (${placeholders(requested)})`;
+            orderParams.push(...requested);
+        }
+        if (email) {
+            orderSql += ' OR lower(email) = ?';
+            orderParams.push(email);
+        }
+        records.orders = await db.all(orderSql, orderParams);
+
+        const orderIds = [...new Set([...requested, ...records.orders.map(order => String(order.id))])];
+        const orderNumbers = records.orders.map(order => String(order.order_number)).filter(Boolean);
+
+        records.processed_orders = orderIds.length > 0
+            ? await db.all(`SELECT * FROM processed_orders WHERE shopify_order_id IN (${placeholders(orderIds)})`, orderIds)
+            : [];
+        records.order_fulfillments = orderIds.length > 0
+            ? await db.all(`SELECT * FROM order_fulfillments WHERE order_id IN (${placeholders(orderIds)})`, orderIds)
+            : [];
+
+        // Linked Discord member and their checkouts
+        records.customer_links = email ? await db.all('SELECT * FROM customer_links WHERE email = ?', [email]) : [];
+        const userIds = records.customer_links.map(link => link.user_id);
+
+        records.abandoned_checkouts = await db.all(`
+            SELECT * FROM abandoned_checkouts
+            WHERE ${email ? 'lower(email) = ?' : '0'}
+            ${userIds.length > 0 ? `OR user_id IN (${placeholders(userIds)})` : ''}
+        `, [...(email ? [email] : []), ...userIds]);
+        const checkoutTokens = records.abandoned_checkouts.map(checkout => checkout.checkout_token);
+
+        records.member_tracking = userIds.length > 0
+            ? await db.all(`SELECT * FROM member_tracking WHERE user_id IN (${placeholders(userIds)})`, userIds)
+            : [];
+        records.restock_subscriptions = userIds.length > 0
+            ? await db.all(`SELECT * FROM restock_subscriptions WHERE user_id IN (${placeholders(userIds)})`, userIds)
+            : [];
+
+        // Analytics events that reference the orders, checkouts or member
+        const analyticsConditions = [];
+        const analyticsParams = [];
+        const addCondition = (path, values) => {
+            if (values.length > 0) {
+                analyticsConditions.push(`CAST(json_extract(metadata, '${path}') AS TEXT) IN (${placeholders(values)})`);
+                analyticsParams.push(...values);
+            }
+        };
+        addCondition('$.order_id', orderIds);
+        addCondition('$.order_number', orderNumbers);
+        addCondition('$.checkout_token', checkoutTokens);
+        addCondition('$.user_id', userIds);
+        records.analytics = analyticsConditions.length > 0
+            ? await db.all(`
+                SELECT * FROM analytics
+                WHERE json_valid(metadata) AND (${analyticsConditions.join(' OR ')})
+            `, analyticsParams)
+            : [];
+
+        // Stored webhook payloads that mention the customer or their orders
+        const inboxConditions = [];
+        const inboxParams = [];
+        if (email) {
+            inboxConditions.push('lower(payload) LIKE ?');
+            inboxParams.push(`%${email}%`);
+        }
+        if (orderIds.length > 0) {
+            inboxConditions.push(`(topic LIKE 'orders/%' AND CAST(json_extract(payload, '$.id') AS TEXT) IN (${placeholders(orderIds)}))`);
+            inboxConditions.push(`CAST(json_extract(payload, '$.order_id') AS TEXT) IN (${placeholders(orderIds)})`);
+            inboxParams.push(...orderIds, ...orderIds);
+        }
+        if (checkoutTokens.length > 0) {
+            inboxConditions.push(`json_extract(payload, '$.token') IN (${placeholders(checkoutTokens)})`);
+            inboxParams.push(...checkoutTokens);
+        }
+        records.webhook_inbox = inboxConditions.length > 0
+            ? await db.all(`
+                SELECT id, webhook_id, topic, received_at, payload FROM webhook_inbox
+                WHERE payload != ? AND json_valid(payload) AND (${inboxConditions.join(' OR ')})
+            `, [REDACTED_PAYLOAD, ...inboxParams])
+            : [];
+
+        records.message_queue = checkoutTokens.length > 0
+            ? await db.all(`
+                SELECT * FROM message_queue
+                WHERE reference_type = 'checkout' AND reference_id IN (${placeholders(checkoutTokens)})
+            `, checkoutTokens)
+            : [];
+
+        return records;
+    }
+
+    // Scrub the located rows. Orders keep their totals for revenue stats but lose the email;
+    // member_tracking stays because it describes the Discord member, not the Shopify customer.
+    async redactCustomerRecords(records) {
+        const summary = {};
+        const ids = (rows, key = 'id') => rows.map(row => String(row[key]));
+
+        const scrub = async (table, sql, values) => {
+            summary[table] = values.length > 0
+                ? (await db.run(sql.replace('{ids}', placeholders(values)), values)).changes
+                : 0;
+        };
+
+        await scrub('orders', `UPDATE orders SET email = NULL WHERE id IN ({ids})`, ids(records.orders));
+        await scrub('abandoned_checkouts', `DELETE FROM abandoned_checkouts WHERE id IN ({ids})`, ids(records.abandoned_checkouts));
+        await scrub('customer_links', `DELETE FROM customer_links WHERE id IN ({ids})`, ids(records.customer_links));
+        await scrub('analytics', `UPDATE analytics SET metadata = NULL WHERE id IN ({ids})`, ids(records.analytics));
+        await scrub('message_queue', `DELETE FROM message_queue WHERE id IN ({ids})`, ids(records.message_queue));
+
+        const inboxIds = ids(records.webhook_inbox);
+        summary.webhook_inbox = inboxIds.length > 0
+            ? (await db.run(`UPDATE webhook_inbox SET payload = ? WHERE id IN (${placeholders(inboxIds)})`, [REDACTED_PAYLOAD, ...inboxIds])).changes
+            : 0;
+
+        // Left in place: no personal data beyond the order ID
+        summary.processed_orders_kept = records.processed_orders.length;
+        summary.order_fulfillments_kept = records.order_fulfillments.length;
+        summary.member_tracking_kept = records.member_tracking.length;
+
+        return summary;
+    }
+
+    // Count located rows per table
+    summarize(records) {
+        const summary = {};
+        for (const [table, rows] of Object.entries(records)) {
+            summary[table] = rows.length;
+        }
+        return summary;
+    }
+
+    // Human readable summary ("orders: 2, analytics: 3")
+    describeSummary(summary) {
+        const parts = Object.entries(summary)
+            .filter(([, value]) => value)
+            .map(([table, value]) => `${table}: ${value}`);
+        return parts.length > 0 ? parts.join(', ') : 'no stored data';
+    }
+
+    // SHA-256 of a normalized email (null without an email)
+    hashEmail(email) {
+        const normalized = (email || '').trim().toLowerCase();
+        return normalized ? crypto.createHash('sha256').update(normalized).digest('hex') : null;
+    }
+
+    // Write the audit record for a privacy request
+    async recordRequest(topic, body, summary, exportData) {
+        const emailHash = this.hashEmail(body.customer?.email);
+
+        const result = await db.run(`
+            INSERT INTO privacy_requests (
+                topic, shop_domain, customer_id, email_hash, shopify_request_id,
+                summary, export_data, status, created_at, completed_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, 'completed', datetime('now'), datetime('now'))
+        `, [
+            topic,
+            body.shop_domain || null,
+            body.customer?.id ? String(body.customer.id) : null,
+            emailHash,
+            body.data_request?.id ? String(body.data_request.id) : null,
+            JSON.stringify(summary),
+            exportData ? JSON.stringify(exportData) : null
+        ]);
+
+        await db.recordEvent('privacy_request', 'webhook', { topic, request_id: result.lastID });
+
+        return result.lastID;
+    }
+
+    // Post a data export to the admin channel so the store owner can send it to the customer
+    async postExport(requestId, exportData) {
+        try {
+            const channel = this.client ? await this.client.channels.fetch(config.discord.adminChannelId) : null;
+            if (!channel) {
+                console.warn('⚠️ Admin channel not available, export kept in privacy_requests only');
+                return;
+            }
+
+            const attachment = new AttachmentBuilder(Buffer.from(JSON.stringify(exportData, null, 2)), {
+                name: `customer-data-request-${requestId}.json`
+            });
+
+            await channel.send({
+                content: `🔒 **Customer data request #${requestId}** • ${this.describeSummary(this.summarize(exportData.records))}\nSend this export to the customer within 30 days.`,
+                files: [attachment]
+            });
+        } catch (error) {
+            console.error('❌ Failed to post data export:', error);
+        }
+    }
+
+    // The privacy request itself carries customer data, so its inbox copy is scrubbed too
+    async redactInboxPayload(webhookId) {
+        if (!webhookId) {
+            return;
+        }
+        await db.run('UPDATE webhook_inbox SET payload = ? WHERE webhook_id = ?', [REDACTED_PAYLOAD, webhookId]);
+    }
+}
+
+module.exports = PrivacyCompliance;
@@ -0,0 +1,141 @@
+const config = require('../config');
+const db = require('../database/db');
+
+// Strip protocol, path and case from a shop domain
+function normalizeDomain(domain) {
+    return (domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+}
+
+// Shops the bot serves, keyed by their myshopify.com domain (X-Shopify-Shop-Domain).
+// Rows are seeded from config on startup and cached in memory for webhook routing.
+class ShopStore {
+    constructor() {
+        this.shops = new Map();
+        this.inactiveDomains = new Set();
+        this.defaultDomain = normalizeDomain(config.shopify.shopUrl);
+    }
+
+    // Seed shops from config and load the cache
+    async init() {
+        const configured = [
+            {
+                domain: config.shopify.shopUrl,
+                name: 'Default',
+                accessToken: config.shopify.accessToken,
+                webhookSecrets: config.shopify.webhookSecrets,
+                notificationChannelId: config.discord.notificationChannelId,
+                storefrontDomain: config.shopify.storefrontDomain
+            },
+            ...config.shopify.shops
+        ];
+
+        for (const shop of configured) {
+            await this.saveShop(shop);
+        }
+
+        await this.load();
+        console.log(`🏪 ${this.shops.size} shop(s) loaded`);
+    }
+
+    // Insert or update a shop (config values win over stored ones).
+    // A shop deactivated by shop/redact stays inactive, even when it is still configured.
+    async saveShop(shop) {
+        const domain = normalizeDomain(shop.domain);
+        const secrets = [].concat(shop.webhookSecrets || shop.webhookSecret || []).filter(Boolean);
+
+        await db.run(`
+            INSERT INTO shops (
+                shop_domain, name, access_token, webhook_secrets, notification_channel_id,
+                storefront_domain, is_active, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, TRUE, datetime('now'), datetime('now'))
+            ON CONFLICT(shop_domain) DO UPDATE SET
+                name = COALESCE(excluded.name, name),
+                access_token = CASE WHEN is_active THEN COALESCE(excluded.access_token, access_token) ELSE access_token END,
+                webhook_secrets = excluded.webhook_secrets,
+                notification_channel_id = COALESCE(excluded.notification_channel_id, notification_channel_id),
+                storefront_domain = COALESCE(excluded.storefront_domain, storefront_domain),
+                updated_at = datetime('now')
+        `, [
+            domain,
+            shop.name || null,
+            shop.accessToken || null,
+            JSON.stringify(secrets),
+            shop.notificationChannelId || null,
+            shop.storefrontDomain ? normalizeDomain(shop.storefrontDomain) : null
+        ]);
+    }
+
+    // Reload the cache from the database
+    async load() {
+        const rows = await db.all('SELECT * FROM shops');
+        const active = rows.filter(row => row.is_active);
+        this.shops = new Map(active.map(row => [row.shop_domain, this.fromRow(row)]));
+        this.inactiveDomains = new Set(rows.filter(row => !row.is_active).map(row => row.shop_domain));
+    }
+
+    // Convert a database row into the shape the rest of the bot uses
+    fromRow(row) {
+        let webhookSecrets = [];
+        try {
+            webhookSecrets = JSON.parse(row.webhook_secrets || '[]');
+        } catch (error) {
+            console.error(`❌ Invalid webhook secrets stored for ${row.shop_domain}`);
+        }
+
+        return {
+            domain: row.shop_domain,
+            name: row.name || row.shop_domain,
+            accessToken: row.access_token,
+            webhookSecrets,
+            notificationChannelId: row.notification_channel_id || config.discord.notificationChannelId,
+            storefrontDomain: row.storefront_domain || row.shop_domain
+        };
+    }
+
+    // Get an active shop by domain (the default shop works even before the cache is loaded,
+    // unless it was deactivated)
+    getShop(domain) {
+        const normalized = normalizeDomain(domain);
+        if (this.inactiveDomains.has(normalized)) {
+            return null;
+        }
+        return this.shops.get(normalized) || (normalized === this.defaultDomain ? this.getDefaultShop() : null);
+    }
+
+    // Get the shop configured through SHOPIFY_SHOP_URL
+    getDefaultShop() {
+        return this.shops.get(this.defaultDomain) || this.fromRow({
+            shop_domain: this.defaultDomain,
+            access_token: config.shopify.accessToken,
+            webhook_secrets: JSON.stringify(config.shopify.webhookSecrets),
+            storefront_domain: normalizeDomain(config.shopify.storefrontDomain)
+        });
+    }
+
+    // Get the shop for a delivery, falling back to the default shop when no domain is known
+    resolveShop(domain) {
+        return domain ? this.getShop(domain) : this.getDefaultShop();
+    }
+
+    // Get every active shop
+    getShops() {
+        if (this.shops.size > 0 || this.inactiveDomains.has(this.defaultDomain)) {
+            return [...this.shops.values()];
+        }
+        return [this.getDefaultShop()];
+    }
+
+    // Stop serving a shop (after shop/redact)
+    async deactivateShop(domain) {
+        await db.run(
+            `UPDATE shops SET is_active = FALSE, access_token = NULL, updated_at = datetime('now') WHERE shop_domain = ?`,
+            [normalizeDomain(domain)]
+        );
+        this.shops.delete(normalizeDomain(domain));
+        this.inactiveDomains.add(normalizeDomain(domain));
+    }
+}
+
+// Create and export shop store instance
+const shops = new ShopStore();
+module.exports = shops;
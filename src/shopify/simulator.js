@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const USAGE = `Usage: npm run simulate-webhook -- <topic> [options]
+
+Topics:
+  orders/create, orders/updated, orders/cancelled, orders/fulfilled,
+  products/create, products/update, products/delete,
+  inventory_levels/update, checkouts/create, checkouts/update
+
+Options:
+  --unpaid               Order is pending instead of paid
+  --items <n>            Number of line items (default 1)
+  --duplicate [n]        Deliver the same webhook (same webhook ID) n times (default 2)
+  --order-id <id>        Order ID, to follow an order through several topics
+  --product-id <id>      Product ID for product and inventory topics
+  --available <n>        Stock for inventory_levels/update (default 5)
+  --shop <domain>        Shop domain to deliver as (default SHOPIFY_SHOP_URL)
+  --secret <secret>      Signing secret (default the shop's configured secret)
+  --invalid-signature    Sign with a wrong secret to test rejection
+  --url <url>            Webhook endpoint (default http://localhost:PORT/webhook)
+  --dry-run              Print the headers and payload without sending`;
+
+const SAMPLE_PRODUCTS = [
+    { title: 'Velvet Touch Massager', handle: 'velvet-touch-massager', type: 'Adult Toys', price: '49.99' },
+    { title: 'Silk Blindfold', handle: 'silk-blindfold', type: 'Accessories', price: '14.99' },
+    { title: 'Midnight Gift Set', handle: 'midnight-gift-set', type: 'Adult Toys', price: '89.00' },
+    { title: 'Travel Storage Pouch', handle: 'travel-storage-pouch', type: 'Accessories', price: '9.50' }
+];
+
+// Builds Shopify-shaped fixture payloads and delivers them signed, like Shopify does.
+// Lets the webhook endpoint be exercised locally without a real store.
+class WebhookSimulator {
+    constructor(options = {}) {
+        this.options = options;
+        this.shopDomain = options.shop || config.shopify.shopUrl;
+        this.url = options.url || `http://localhost:${config.server.port}/webhook`;
+    }
+
+    // Random numeric ID in Shopify's range
+    randomId() {
+        return Math.floor(1000000000000 + Math.random() * 8999999999999);
+    }
+
+    // Secret the shop signs with (SHOPIFY_SHOPS entry, else the default shop's)
+    getSecret() {
+        if (this.options.invalidSignature) {
+            return 'not-the-webhook-secret';
+        }
+        if (this.options.secret) {
+            return this.options.secret;
+        }
+
+        const shop = config.shopify.shops.find(entry => entry.domain.toLowerCase() === this.shopDomain.toLowerCase());
+        const secrets = shop ? [].concat(shop.webhookSecrets || shop.webhookSecret || []) : config.shopify.webhookSecrets;
+        if (!secrets[0]) {
+            throw new Error(`No webhook secret configured for ${this.shopDomain} (set SHOPIFY_WEBHOOK_SECRET or pass --secret)`);
+        }
+        return secrets[0];
+    }
+
+    // Build the payload for a topic
+    buildPayload(topic) {
+        switch (topic) {
+            case 'orders/create':
+            case 'orders/updated':
+                return this.buildOrder();
+            case 'orders/cancelled':
+                return this.buildOrder({ cancelled: true });
+            case 'orders/fulfilled':
+                return this.buildOrder({ fulfilled: true });
+            case 'products/create':
+            case 'products/update':
+                return this.buildProduct();
+            case 'products/delete':
+                return { id: this.productId() };
+            case 'inventory_levels/update':
+                return this.buildInventoryLevel();
+            case 'checkouts/create':
+            case 'checkouts/update':
+                return this.buildCheckout();
+            default:
+                throw new Error(`No fixture for topic "${topic}"`);
+        }
+    }
+
+    // Product ID shared by product and inventory fixtures
+    productId() {
+        if (!this.sharedProductId) {
+            this.sharedProductId = parseInt(this.options.productId) || this.randomId();
+        }
+        return this.sharedProductId;
+    }
+
+    // Line items picked from the sample catalog
+    buildLineItems() {
+        const count = Math.max(1, parseInt(this.options.items) || 1);
+        const lineItems = [];
+
+        for (let i = 0; i < count; i++) {
+            const sample = SAMPLE_PRODUCTS[i % SAMPLE_PRODUCTS.length];
+            lineItems.push({
+                id: this.randomId(),
+                product_id: i === 0 && this.options.productId ? this.productId() : this.randomId(),
+                variant_id: this.randomId(),
+                title: sample.title,
+                name: sample.title,
+                variant_title: null,
+                vendor: 'Level Linked',
+                product_type: sample.type,
+                sku: sample.handle.toUpperCase(),
+                quantity: 1,
+                price: sample.price,
+                requires_shipping: true,
+                fulfillment_status: null
+            });
+        }
+
+        return lineItems;
+    }
+
+    // orders/* payload
+    buildOrder({ cancelled = false, fulfilled = false } = {}) {
+        const id = parseInt(this.options.orderId) || this.randomId();
+        const orderNumber = 1000 + (id % 9000);
+        const lineItems = this.buildLineItems();
+        const subtotal = lineItems.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+        const now = new Date().toISOString();
+
+        const order = {
+            id,
+            admin_graphql_api_id: `gid://shopify/Order/${id}`,
+            name: `#${orderNumber}`,
+            order_number: orderNumber,
+            email: 'simulated.customer@example.com',
+            created_at: now,
+            updated_at: now,
+            processed_at: now,
+            currency: 'USD',
+            presentment_currency: 'USD',
+            subtotal_price: subtotal.toFixed(2),
+            total_tax: '0.00',
+            total_price: subtotal.toFixed(2),
+            financial_status: this.options.unpaid ? 'pending' : 'paid',
+            fulfillment_status: fulfilled ? 'fulfilled' : null,
+            cancelled_at: cancelled ? now : null,
+            cancel_reason: cancelled ? 'customer' : null,
+            checkout_token: crypto.randomBytes(16).toString('hex'),
+            source_name: 'web',
+            test: true,
+            customer: {
+                id: this.randomId(),
+                email: 'simulated.customer@example.com',
+                first_name: 'Simulated',
+                last_name: 'Customer'
+            },
+            line_items: lineItems,
+            fulfillments: []
+        };
+
+        if (fulfilled) {
+            order.fulfillments.push({
+                id: this.randomId(),
+                order_id: id,
+                status: 'success',
+                shipment_status: null,
+                tracking_company: 'USPS',
+                tracking_number: '9400100000000000000000',
+                created_at: now,
+                updated_at: now,
+                line_items: lineItems
+            });
+        }
+
+        return order;
+    }
+
+    // products/create and products/update payload
+    buildProduct() {
+        const id = this.productId();
+        const sample = SAMPLE_PRODUCTS[id % SAMPLE_PRODUCTS.length];
+        const now = new Date().toISOString();
+
+        return {
+            id,
+            admin_graphql_api_id: `gid://shopify/Product/${id}`,
+            title: sample.title,
+            handle: sample.handle,
+            body_html: `<p>${sample.title} (simulated)</p>`,
+            vendor: 'Level Linked',
+            product_type: sample.type,
+            tags: sample.type.toLowerCase(),
+            status: 'active',
+            published_at: now,
+            published_scope: 'global',
+            created_at: now,
+            updated_at: now,
+            variants: [{
+                id: this.randomId(),
+                product_id: id,
+                title: 'Default Title',
+                price: sample.price,
+                sku: sample.handle.toUpperCase(),
+                inventory_item_id: id + 1,
+                inventory_management: 'shopify',
+                inventory_quantity: this.options.available !== undefined ? parseInt(this.options.available) || 0 : 5
+            }],
+            images: [{
+                id: this.randomId(),
+                product_id: id,
+                src: `https://cdn.shopify.com/s/files/simulated/${sample.handle}.jpg`
+            }],
+            image: {
+                src: `https://cdn.shopify.com/s/files/simulated/${sample.handle}.jpg`
+            }
+        };
+    }
+
+    // inventory_levels/update payload (the inventory item matches buildProduct's variant)
+    buildInventoryLevel() {
+        return {
+            inventory_item_id: this.productId() + 1,
+            location_id: 1,
+            available: this.options.available !== undefined ? parseInt(this.options.available) || 0 : 5,
+            updated_at: new Date().toISOString()
+        };
+    }
+
+    // checkouts/* payload
+    buildCheckout() {
+        const token = crypto.randomBytes(16).toString('hex');
+        const lineItems = this.buildLineItems();
+        const total = lineItems.reduce((sum, item) => sum + parseFloat(item.price) * item.quantity, 0);
+        const now = new Date().toISOString();
+
+        return {
+            id: this.randomId(),
+            token,
+            cart_token: crypto.randomBytes(16).toString('hex'),
+            email: 'simulated.customer@example.com',
+            created_at: now,
+            updated_at: now,
+            completed_at: null,
+            currency: 'USD',
+            total_price: total.toFixed(2),
+            abandoned_checkout_url: `https://${this.shopDomain}/checkouts/${token}/recover`,
+            customer: {
+                id: this.randomId(),
+                email: 'simulated.customer@example.com',
+                first_name: 'Simulated'
+            },
+            line_items: lineItems
+        };
+    }
+
+    // Headers Shopify sends with a delivery
+    buildHeaders(topic, rawBody, webhookId, eventId) {
+        return {
+            'Content-Type': 'application/json',
+            'X-Shopify-Topic': topic,
+            'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', this.getSecret()).update(rawBody).digest('base64'),
+            'X-Shopify-Shop-Domain': this.shopDomain,
+            'X-Shopify-Webhook-Id': webhookId,
+            'X-Shopify-Event-Id': eventId,
+            'X-Shopify-API-Version': config.shopify.api.version,
+            'X-Shopify-Triggered-At': new Date().toISOString()
+        };
+    }
+
+    // Build, sign and deliver a topic (repeated with the same IDs for duplicate deliveries)
+    async simulate(topic) {
+        const payload = this.buildPayload(topic);
+        const rawBody = Buffer.from(JSON.stringify(payload));
+        const headers = this.buildHeaders(topic, rawBody, crypto.randomUUID(), crypto.randomUUID());
+        const deliveries = this.options.duplicate ? Math.max(2, parseInt(this.options.duplicate) || 2) : 1;
+
+        if (this.options.dryRun) {
+            console.log(JSON.stringify({ url: this.url, headers, payload }, null, 2));
+            return [];
+        }
+
+        const results = [];
+        for (let i = 0; i < deliveries; i++) {
+            const response = await fetch(this.url, { method: 'POST', headers, body: rawBody });
+            const text = await response.text();
+            results.push({ status: response.status, body: text });
+            console.log(`${response.ok ? '✅' : '❌'} ${topic} delivery ${i + 1}/${deliveries} → ${response.status} ${text}`);
+        }
+
+        return results;
+    }
+}
+
+// Parse command line arguments into a topic and options
+function parseArgs(argv) {
+    const flags = {
+        '--unpaid': 'unpaid',
+        '--invalid-signature': 'invalidSignature',
+        '--dry-run': 'dryRun'
+    };
+    const values = {
+        '--items': 'items',
+        '--order-id': 'orderId',
+        '--product-id': 'productId',
+        '--available': 'available',
+        '--shop': 'shop',
+        '--secret': 'secret',
+        '--url': 'url'
+    };
+
+    const options = {};
+    let topic = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (flags[arg]) {
+            options[flags[arg]] = true;
+        } else if (values[arg]) {
+            options[values[arg]] = argv[++i];
+        } else if (arg === '--duplicate') {
+            // Optional count
+            options.duplicate = /^\d+$/.test(argv[i + 1] || '') ? argv[++i] : 2;
+        } else if (!arg.startsWith('--') && !topic) {
+            topic = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return { topic, options };
+}
+
+// Run the simulator if this file is executed directly
+if (require.main === module) {
+    (async () => {
+        try {
+            const { topic, options } = parseArgs(process.argv.slice(2));
+            if (!topic) {
+                console.log(USAGE);
+                process.exit(1);
+            }
+
+            const simulator = new WebhookSimulator(options);
+            const results = await simulator.simulate(topic);
+            process.exit(results.every(result => result.status < 400) ? 0 : 1);
+        } catch (error) {
+            console.error('❌ Webhook simulation failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = WebhookSimulator;
@@ -0,0 +1,48 @@
+const config = require('../config');
+
+// Storefront link helpers (products are linked by handle, never by numeric ID).
+// Every helper takes the shop's storefront domain and falls back to the default shop.
+
+// Get the storefront base URL
+function getStorefrontUrl(storefrontDomain = config.shopify.storefrontDomain) {
+    const domain = storefrontDomain.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    return `https://${domain}`;
+}
+
+// Get the public URL of a product
+function getProductUrl(handle, storefrontDomain) {
+    if (!handle) {
+        return getStorefrontUrl(storefrontDomain);
+    }
+    return `${getStorefrontUrl(storefrontDomain)}/products/${encodeURIComponent(handle)}`;
+}
+
+// Get a storefront search URL (for line items whose handle is not known yet)
+function getSearchUrl(query, storefrontDomain) {
+    return `${getStorefrontUrl(storefrontDomain)}/search?q=${encodeURIComponent(query || '')}`;
+}
+
+// Format the price range of a product's variants ("$20.00" or "$20.00 – $35.00")
+function formatPriceRange(variants = [], currencySymbol = '$') {
+    const prices = variants
+        .map(variant => parseFloat(variant.price))
+        .filter(price => !Number.isNaN(price));
+
+    if (prices.length === 0) {
+        return null;
+    }
+
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+
+    return min === max
+        ? `${currencySymbol}${min.toFixed(2)}`
+        : `${currencySymbol}${min.toFixed(2)} – ${currencySymbol}${max.toFixed(2)}`;
+}
+
+module.exports = {
+    getStorefrontUrl,
+    getProductUrl,
+    getSearchUrl,
+    formatPriceRange
+};
@@ -1,103 +1,169 @@
 const ShopifyAPIService = require('./api');
 const db = require('../database/db');
-const config = require('../config');
+const OrderNotifier = require('./orderNotifier');
+const shops = require('./shops');
+
+// How often the bot records that it is alive, and how far before the watermark a catch-up starts
+// (the overlap costs nothing, already processed orders are filtered out)
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const CATCHUP_OVERLAP_MS = 5 * 60 * 1000;
+
+// Parse a stored timestamp (ISO, or SQLite's "YYYY-MM-DD HH:MM:SS" in UTC)
+function parseTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(/^\d{4}-\d{2}-\d{2} /.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
 
 class OfflineOrderSync {
     constructor(messageQueue, logger) {
-        this.api = new ShopifyAPIService();
         this.messageQueue = messageQueue;
         this.logger = logger;
+        this.orderNotifier = new OrderNotifier(null, logger, messageQueue);
+        this.heartbeatTimer = null;
+    }
+
+    // Sync orders that were created while bot was offline.
+    // Every shop is synced on its own so one failing store does not block the others;
+    // pass a shop domain to sync a single shop.
+    async syncOfflineOrders(syncWindowHours = 24, shopDomain = null) {
+        console.log(`🔄 Starting offline order sync for last ${syncWindowHours} hours...`);
+
+        // Calculate sync window
+        const syncStartDate = new Date();
+        syncStartDate.setHours(syncStartDate.getHours() - syncWindowHours);
+
+        return await this.syncOrdersBetween(syncStartDate, null, shopDomain);
     }
 
-    // Sync orders that were created while bot was offline
-    async syncOfflineOrders(syncWindowHours = 24) {
+    // Sync unprocessed orders created in a date range (until null = up to now)
+    async syncOrdersBetween(syncStartDate, syncEndDate = null, shopDomain = null) {
         try {
-            console.log(`🔄 Starting offline order sync for last ${syncWindowHours} hours...`);
+            const shopsToSync = shopDomain ? [shops.getShop(shopDomain)].filter(Boolean) : shops.getShops();
+            if (shopsToSync.length === 0) {
+                throw new Error(`Unknown shop: ${shopDomain}`);
+            }
 
-            // Calculate sync window
-            const syncStartDate = new Date();
-            syncStartDate.setHours(syncStartDate.getHours() - syncWindowHours);
+            const result = {
+                success: true,
+                ordersFound: 0,
+                ordersToProcess: 0,
+                orders: [],
+                shops: []
+            };
+
+            for (const shop of shopsToSync) {
+                const shopResult = await this.syncShopOrders(shop, syncStartDate, syncEndDate);
+                result.shops.push(shopResult);
+                result.ordersFound += shopResult.ordersFound;
+                result.ordersToProcess += shopResult.orders.length;
+                result.orders.push(...shopResult.orders);
+            }
+
+            // Only fail when no shop could be reached at all
+            if (result.shops.every(shopResult => shopResult.error)) {
+                throw new Error(`Shopify API connection failed: ${result.shops.map(shopResult => shopResult.error).join('; ')}`);
+            }
+
+            console.log(`📊 Found ${result.ordersToProcess} unprocessed orders across ${result.shops.length} shop(s)`);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Error during offline order sync:', error);
+            if (this.logger) {
+                await this.logger.logError(error, 'Offline order sync');
+            }
+            throw error;
+        }
+    }
+
+    // Fetch unprocessed orders for one shop
+    async syncShopOrders(shop, syncStartDate, syncEndDate = null) {
+        const shopResult = { shop: shop.domain, ordersFound: 0, orders: [], error: null, errorCode: null };
+
+        try {
+            const api = new ShopifyAPIService(shop);
 
             // Test API connection first
-            const connectionTest = await this.api.testConnection();
+            const connectionTest = await api.testConnection();
             if (!connectionTest.success) {
-                throw new Error(`Shopify API connection failed: ${connectionTest.error}`);
+                const error = new Error(connectionTest.error);
+                error.code = connectionTest.code;
+                throw error;
             }
 
             console.log(`✅ Connected to Shopify store: ${connectionTest.shop}`);
 
-            // Fetch orders from API
-            const orders = await this.api.getOrdersCreatedAfter(syncStartDate);
-            
-            if (orders.length === 0) {
-                console.log('✅ No orders found in sync window');
-                return {
-                    success: true,
-                    ordersFound: 0,
-                    ordersToProcess: 0,
-                    orders: []
-                };
+            // Fetch paid orders from API (like the webhook, unpaid orders are announced once they are paid)
+            const filters = { financialStatus: 'paid' };
+            if (syncEndDate) {
+                filters.createdAtMax = syncEndDate;
             }
+            const orders = await api.getOrdersCreatedAfter(syncStartDate, filters);
+            shopResult.ordersFound = orders.length;
 
-            console.log(`📊 Found ${orders.length} orders from Shopify API`);
-
-            // Filter out already processed orders
-            const unprocessedOrders = [];
+            // Filter out cancelled and already announced orders (orders whose announcement failed are offered again)
             for (const order of orders) {
-                const isProcessed = await db.isOrderProcessed(order.id);
-                if (!isProcessed) {
-                    unprocessedOrders.push(order);
+                if (order.cancelled_at) {
+                    continue;
                 }
-            }
 
-            console.log(`📊 Found ${unprocessedOrders.length} unprocessed orders`);
+                const isNotified = await db.isOrderNotified(order.id);
+                if (!isNotified) {
+                    // Remember which shop the order came from for processApprovedOrders
+                    shopResult.orders.push({ ...order, shop_domain: shop.domain });
+                }
+            }
 
-            return {
-                success: true,
-                ordersFound: orders.length,
-                ordersToProcess: unprocessedOrders.length,
-                orders: unprocessedOrders
-            };
+            console.log(`📊 ${shop.domain}: ${orders.length} orders, ${shopResult.orders.length} unprocessed`);
 
         } catch (error) {
-            console.error('❌ Error during offline order sync:', error);
-            if (this.logger) {
-                await this.logger.logError(error, 'Offline order sync');
-            }
-            throw error;
+            console.error(`❌ Offline order sync failed for ${shop.domain}:`, error);
+            shopResult.error = `${shop.domain}: ${error.message}`;
+            shopResult.errorCode = error.code || null; // ShopifyApiError code, e.g. rate_limited or timeout
         }
+
+        return shopResult;
     }
 
-    // Process and queue notifications for approved orders
-    async processApprovedOrders(orders) {
+    // Process and queue notifications for approved orders.
+    // With digest, every order is still recorded but each shop gets one summary post
+    // instead of a post per order.
+    async processApprovedOrders(orders, { digest = false } = {}) {
         try {
-            console.log(`🚀 Processing ${orders.length} approved offline orders...`);
+            console.log(`🚀 Processing ${orders.length} approved offline orders${digest ? ' as a digest' : ''}...`);
 
             let processedCount = 0;
             let failedCount = 0;
+            let skippedCount = 0;
+            const digestOrders = new Map(); // shop domain → { shop, orders }
 
             for (const order of orders) {
+                let shop = null;
                 try {
-                    // Track order in database
-                    await db.trackOrder({
-                        id: order.id,
-                        email: order.email,
-                        order_number: order.order_number,
-                        total_price: order.total_price,
-                        currency: order.currency_code,
-                        financial_status: order.financial_status
-                    });
-
-                    // Mark order as processed
-                    await db.markOrderProcessed(order.id, order.order_number, 'api_sync');
-
-                    // Process each line item
-                    for (const lineItem of order.line_items) {
-                        await this.processOrderLineItem(order, lineItem);
+                    // Orders the webhook (or another sync) announced in the meantime are not announced twice
+                    shop = await this.recordOrder(order);
+                    if (!shop) {
+                        skippedCount++;
+                        console.log(`⚠️ Order ${order.order_number} already processed, skipping`);
+                        continue;
                     }
 
-                    // Add delay between orders to avoid spam
-                    await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay
+                    if (digest) {
+                        // The claim is held until the digest is queued
+                        const group = digestOrders.get(shop.domain) || { shop, orders: [] };
+                        group.orders.push(order);
+                        digestOrders.set(shop.domain, group);
+                    } else {
+                        // Announce the order the same way the webhook does
+                        // (on failure the claim stays unsent, so the next sync offers it again)
+                        await this.orderNotifier.notifyOrder(order, shop, { source: 'api_sync' });
+
+                        // Add delay between orders to avoid spam
+                        await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay
+                    }
 
                     processedCount++;
                     console.log(`✅ Processed order ${order.order_number}`);
@@ -105,11 +171,30 @@ class OfflineOrderSync {
                 } catch (error) {
                     console.error(`❌ Failed to process order ${order.order_number}:`, error);
                     failedCount++;
+                } finally {
+                    if (shop && !digest) {
+                        db.releaseOrderClaim(order.id);
+                    }
+                }
+            }
+
+            for (const { shop, orders: shopOrders } of digestOrders.values()) {
+                try {
+                    await this.orderNotifier.notifyDigest(shopOrders, shop);
+                } catch (error) {
+                    console.error(`❌ Failed to post order digest for ${shop.domain}:`, error);
+                    processedCount -= shopOrders.length;
+                    failedCount += shopOrders.length;
+                    if (this.logger) {
+                        await this.logger.logError(error, `Order digest (${shop.domain})`);
+                    }
+                } finally {
+                    shopOrders.forEach(order => db.releaseOrderClaim(order.id));
                 }
             }
 
-            console.log(`🎉 Offline sync complete: ${processedCount} processed, ${failedCount} failed`);
-            return { processedCount, failedCount };
+            console.log(`🎉 Offline sync complete: ${processedCount} processed, ${failedCount} failed, ${skippedCount} already processed`);
+            return { processedCount, failedCount, skippedCount };
 
         } catch (error) {
             console.error('❌ Error processing approved orders:', error);
@@ -120,78 +205,138 @@ class OfflineOrderSync {
         }
     }
 
-    // Process a single order line item (same logic as webhook)
-    async processOrderLineItem(orderData, lineItem) {
-        try {
-            // Get product details
-            const product = {
-                id: lineItem.product_id,
-                name: lineItem.name,
-                price: lineItem.price,
-                image_url: lineItem.image_url || null,
-                product_id: lineItem.product_id
-            };
-
-            // Get category for product
-            const category = await this.getProductCategory(product);
-
-            // Create order notification message
-            const orderMessage = `Someone ordered **[${product.name}](https://levellinked.myshopify.com/products/${product.product_id})**!`;
-
-            // Queue notification to channel
-            if (this.messageQueue) {
-                await this.messageQueue.addMessage({
-                    type: 'order',
-                    target_type: 'channel',
-                    target_id: config.discord.notificationChannelId,
-                    message_data: JSON.stringify({ content: orderMessage }),
-                    priority: 2 // High priority for order notifications
-                });
-                
-                console.log(`✅ Offline order notification queued for ${product.name}`);
+    // Claim orders an admin chose not to announce, so later webhooks (orders/updated) and syncs
+    // do not announce them after all
+    async dismissOrders(orders) {
+        let dismissedCount = 0;
+
+        for (const order of orders) {
+            try {
+                if (await this.recordOrder(order, 'dismissed')) {
+                    await db.markNotificationSent(order.id);
+                    db.releaseOrderClaim(order.id);
+                    dismissedCount++;
+                }
+            } catch (error) {
+                console.error(`❌ Failed to dismiss order ${order.order_number}:`, error);
             }
+        }
+
+        console.log(`🙈 Dismissed ${dismissedCount} of ${orders.length} offline orders`);
+        return dismissedCount;
+    }
 
-            // Mark notification as sent
-            await db.markNotificationSent(orderData.id);
+    // Record that the bot is running now, then keep doing so every minute
+    startHeartbeat() {
+        if (this.heartbeatTimer) {
+            return;
+        }
 
-            return true;
+        this.recordHeartbeat();
+        this.heartbeatTimer = setInterval(() => this.recordHeartbeat(), HEARTBEAT_INTERVAL_MS);
+    }
 
-        } catch (error) {
-            console.error('❌ Error processing offline order line item:', error);
-            return false;
+    // Stop recording heartbeats
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
         }
     }
 
-    // Get product category (same logic as webhook)
-    async getProductCategory(product) {
+    // Store the current time as the last moment the bot was known to be up
+    async recordHeartbeat() {
         try {
-            const categories = await db.getCategories();
-            
-            // Try to match by product ID or name
-            for (const category of categories) {
-                if (category.shopify_collection_id && product.product_id === category.shopify_collection_id) {
-                    return category;
-                }
-                
-                if (category.shopify_tags && product.name) {
-                    const categoryTags = category.shopify_tags.toLowerCase().split(',');
-                    const productName = product.name.toLowerCase();
-                    
-                    for (const tag of categoryTags) {
-                        if (productName.includes(tag.trim())) {
-                            return category;
-                        }
-                    }
-                }
-            }
-            
-            // Return fallback category
-            return categories.find(cat => cat.fallback_category) || categories[0] || null;
-            
+            await db.setSetting('last_heartbeat_at', new Date().toISOString());
         } catch (error) {
-            console.error('❌ Error getting product category:', error);
+            if (!(error.message && error.message.includes('no such table'))) {
+                console.error('❌ Failed to record heartbeat:', error);
+            }
+        }
+    }
+
+    // Range of orders the bot missed while it was down: from the last heartbeat (or, when the bot
+    // never recorded one, the last processed order) up to now, or from an earlier catch-up that is
+    // still awaiting confirmation. Null when the bot has never run before (nothing to catch up on).
+    // Must be called before startHeartbeat and before the webhook inbox resumes deliveries,
+    // which both move the watermark.
+    async getDowntimeWindow(maxHours = 72) {
+        const lastHeartbeat = parseTimestamp(await db.getSetting('last_heartbeat_at'));
+        const lastOrder = lastHeartbeat ? null : await db.getLastProcessedOrder();
+        const lastOrderAt = parseTimestamp(lastOrder && lastOrder.processed_at);
+        const pendingSince = parseTimestamp(await db.getSetting('catchup_pending_since'));
+
+        const known = lastHeartbeat || lastOrderAt;
+        if (!known && !pendingSince) {
+            return null;
+        }
+
+        const until = new Date();
+        const watermark = known || pendingSince;
+        const start = pendingSince && pendingSince < watermark ? pendingSince : watermark;
+        const earliest = new Date(until.getTime() - maxHours * 60 * 60 * 1000);
+        let since = new Date(start.getTime() - CATCHUP_OVERLAP_MS);
+
+        const truncated = since < earliest;
+        if (truncated) {
+            since = earliest;
+        }
+
+        return {
+            since,
+            until,
+            watermark,
+            downtimeMinutes: Math.max(0, Math.round((until - watermark) / 60000)),
+            truncated
+        };
+    }
+
+    // Remember where an unconfirmed catch-up started, so a restart does not lose its orders
+    async markCatchUpPending(since) {
+        const pendingSince = parseTimestamp(await db.getSetting('catchup_pending_since'));
+        if (!pendingSince || since < pendingSince) {
+            await db.setSetting('catchup_pending_since', since.toISOString());
+        }
+    }
+
+    // Forget a pending catch-up once it was confirmed or dismissed
+    async clearCatchUpPending() {
+        await db.run('DELETE FROM settings WHERE key = ?', ['catchup_pending_since']);
+    }
+
+    // Claim an order from the API and track it (returns its shop, or null when it was already announced
+    // or is being announced right now). Claiming first makes it atomic against the webhook delivering
+    // the same order; the caller releases the claim with db.releaseOrderClaim.
+    async recordOrder(order, source = 'api_sync') {
+        const shop = shops.resolveShop(order.shop_domain) || shops.getDefaultShop();
+
+        const claim = await db.claimOrder(order.id, order.order_number, source, shop.domain);
+        if (!claim) {
             return null;
         }
+        if (claim === 'retry') {
+            return shop; // Tracked when it was first claimed
+        }
+
+        // Track order and line items in database
+        try {
+            await db.trackOrder({
+                id: order.id,
+                email: order.email,
+                order_number: order.order_number,
+                total_price: order.total_price,
+                currency: order.currency || order.currency_code,
+                financial_status: order.financial_status,
+                shop_domain: shop.domain
+            });
+            await db.trackOrderLineItems(order, shop.domain);
+        } catch (error) {
+            await db.unmarkOrderProcessed(order.id);
+            db.releaseOrderClaim(order.id);
+            throw error;
+        }
+
+        return shop;
     }
 
     // Get sync statistics
@@ -0,0 +1,178 @@
+const db = require('../database/db');
+
+// Registry of Shopify webhook topic handlers.
+// Feature modules register handlers for exact topics ('orders/create') or wildcards
+// ('orders/*', '*'); each handler can be switched on and off through the settings table.
+class WebhookTopicRegistry {
+    constructor() {
+        this.handlers = [];
+    }
+
+    // Register a handler for one or more topic patterns
+    register(patterns, handler, options = {}) {
+        const {
+            name,
+            description = '',
+            requiresPaid = false, // Only run when financial_status === 'paid'
+            settingKey = null,    // Settings key that enables/disables the handler
+            required = false      // Required handlers can never be disabled
+        } = options;
+
+        if (!name) {
+            throw new Error('Webhook handlers must be registered with a name');
+        }
+
+        if (this.handlers.some(entry => entry.name === name)) {
+            throw new Error(`Webhook handler "${name}" is already registered`);
+        }
+
+        this.handlers.push({
+            name,
+            description,
+            patterns: Array.isArray(patterns) ? patterns : [patterns],
+            handler,
+            requiresPaid,
+            settingKey: settingKey || `webhook_handler_${name}_enabled`,
+            required
+        });
+    }
+
+    // Remove a handler by name
+    unregister(name) {
+        this.handlers = this.handlers.filter(entry => entry.name !== name);
+    }
+
+    // Check a topic against a pattern
+    matchesPattern(pattern, topic) {
+        if (pattern === '*' || pattern === topic) {
+            return true;
+        }
+
+        if (pattern.endsWith('/*')) {
+            return topic.startsWith(pattern.slice(0, -1));
+        }
+
+        return false;
+    }
+
+    // Get all handlers registered for a topic
+    getHandlers(topic) {
+        return this.handlers.filter(entry =>
+            entry.patterns.some(pattern => this.matchesPattern(pattern, topic))
+        );
+    }
+
+    // Get every exact topic with at least one handler (wildcards excluded)
+    getTopics() {
+        const topics = new Set();
+        for (const entry of this.handlers) {
+            for (const pattern of entry.patterns) {
+                if (!pattern.includes('*')) {
+                    topics.add(pattern);
+                }
+            }
+        }
+        return [...topics].sort();
+    }
+
+    // Get a handler by name
+    getHandler(name) {
+        return this.handlers.find(entry => entry.name === name) || null;
+    }
+
+    // Check whether a handler is enabled in settings (enabled unless set to 'false')
+    async isEnabled(entry) {
+        if (entry.required) {
+            return true;
+        }
+
+        try {
+            const value = await db.getSetting(entry.settingKey, 'true');
+            return value !== 'false';
+        } catch (error) {
+            // Settings table not created yet, fall back to enabled
+            return true;
+        }
+    }
+
+    // Enable or disable a handler at runtime
+    async setEnabled(name, enabled) {
+        const entry = this.getHandler(name);
+        if (!entry) {
+            throw new Error(`Unknown webhook handler "${name}"`);
+        }
+        if (entry.required && !enabled) {
+            throw new Error(`Webhook handler "${name}" is required and cannot be disabled`);
+        }
+
+        await db.setSetting(entry.settingKey, enabled ? 'true' : 'false');
+        return entry;
+    }
+
+    // List handlers with their current enabled state
+    async listHandlers() {
+        const handlers = [];
+        for (const entry of this.handlers) {
+            handlers.push({
+                name: entry.name,
+                description: entry.description,
+                patterns: entry.patterns,
+                requiresPaid: entry.requiresPaid,
+                required: entry.required,
+                enabled: await this.isEnabled(entry)
+            });
+        }
+        return handlers;
+    }
+
+    // Run every enabled handler registered for a topic.
+    // Each handler runs on its own, so one failing handler does not stop the others; pass the
+    // names that already completed on an earlier attempt so a retry only re-runs the failed ones.
+    // A handler that had nothing to do can return { skipped: reason }; skipped handlers are listed
+    // with their reason so a replay can tell what it did not re-run.
+    async dispatch(topic, body, context = {}, { completed = [] } = {}) {
+        const handlers = this.getHandlers(topic);
+        const result = { handled: 0, skipped: 0, matched: handlers.length, completed: [...completed], failed: [], skippedHandlers: [] };
+        const skip = (name, reason) => {
+            result.skipped++;
+            result.skippedHandlers.push({ name, reason });
+        };
+
+        for (const entry of handlers) {
+            if (completed.includes(entry.name)) {
+                console.log(`⏭️ Webhook handler ${entry.name} already completed ${topic}, skipping`);
+                skip(entry.name, 'already completed');
+                continue;
+            }
+
+            if (!(await this.isEnabled(entry))) {
+                console.log(`⏸️ Webhook handler ${entry.name} disabled, skipping ${topic}`);
+                skip(entry.name, 'disabled');
+                continue;
+            }
+
+            if (entry.requiresPaid && body.financial_status !== 'paid') {
+                console.log(`⏳ ${topic} ${body.order_number || body.id} not paid yet (${body.financial_status}), skipping ${entry.name}`);
+                skip(entry.name, `not paid (${body.financial_status})`);
+                continue;
+            }
+
+            try {
+                const outcome = await entry.handler(body, { ...context, topic });
+                result.completed.push(entry.name);
+                if (outcome && outcome.skipped) {
+                    skip(entry.name, outcome.skipped);
+                } else {
+                    result.handled++;
+                }
+            } catch (error) {
+                console.error(`❌ Webhook handler ${entry.name} failed for ${topic}:`, error);
+                result.failed.push({ name: entry.name, error });
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = WebhookTopicRegistry;
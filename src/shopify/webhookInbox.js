@@ -0,0 +1,357 @@
+const db = require('../database/db');
+
+// Persistent inbox for verified Shopify deliveries.
+// The /webhook route only stores the delivery and acknowledges it; this worker
+// runs the actual handlers in the background and retries failures.
+class WebhookInbox {
+    constructor(shopifyWebhooks, logger) {
+        this.shopifyWebhooks = shopifyWebhooks;
+        this.logger = logger;
+        this.isProcessing = false;
+        this.isDraining = false;
+        this.processingInterval = null;
+        this.cleanupInterval = null;
+    }
+
+    // Store a verified delivery (returns false if it is a duplicate)
+    // Shopify retries reuse X-Shopify-Webhook-Id, and the same event can be redelivered
+    // under a new webhook ID, so both are checked before anything is stored.
+    async addDelivery({ webhookId, eventId, topic, shopDomain, payload }) {
+        const existing = await db.get(`
+            SELECT id FROM webhook_inbox
+            WHERE webhook_id = ?
+            OR (event_id IS NOT NULL AND event_id = ? AND topic = ?)
+            LIMIT 1
+        `, [webhookId, eventId || null, topic]);
+
+        if (existing) {
+            await this.recordDuplicate(existing.id);
+            console.log(`⚠️ Duplicate webhook ${webhookId} (event ${eventId || 'n/a'}), skipping`);
+            return false;
+        }
+
+        const result = await db.run(`
+            INSERT OR IGNORE INTO webhook_inbox (
+                webhook_id, event_id, topic, shop_domain, payload,
+                status, received_at, next_attempt_at
+            ) VALUES (?, ?, ?, ?, ?, 'pending', datetime('now'), datetime('now'))
+        `, [webhookId, eventId || null, topic, shopDomain || null, payload]);
+
+        if (result.changes === 0) {
+            console.log(`⚠️ Webhook ${webhookId} already in inbox, skipping`);
+            return false;
+        }
+
+        console.log(`📥 Webhook stored in inbox: ${topic} (${webhookId})`);
+        return true;
+    }
+
+    // Count a duplicate delivery against the original
+    async recordDuplicate(deliveryId) {
+        await db.run(`
+            UPDATE webhook_inbox
+            SET duplicate_count = duplicate_count + 1, last_duplicate_at = datetime('now')
+            WHERE id = ?
+        `, [deliveryId]);
+    }
+
+    // Start the background worker
+    async startProcessing() {
+        if (this.processingInterval) {
+            return; // Already running
+        }
+
+        this.isProcessing = true;
+        console.log('🚀 Starting webhook inbox processor...');
+
+        // Deliveries left mid-handle by a crash or restart go back to pending
+        await this.recoverInterruptedDeliveries();
+
+        // Process deliveries every 15 seconds
+        this.processingInterval = setInterval(async () => {
+            await this.processInbox();
+        }, 15000);
+
+        // Clean up old deliveries once a day
+        this.cleanupInterval = setInterval(() => {
+            this.cleanupOldDeliveries();
+        }, 24 * 60 * 60 * 1000);
+
+        // Also process immediately
+        this.processInbox();
+    }
+
+    // Stop the background worker
+    stopProcessing() {
+        if (this.processingInterval) {
+            clearInterval(this.processingInterval);
+            this.processingInterval = null;
+        }
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+        this.isProcessing = false;
+        console.log('⏹️ Webhook inbox processor stopped');
+    }
+
+    // Process the inbox on the next tick (used right after a delivery is acknowledged)
+    processSoon() {
+        if (!this.isProcessing) {
+            return;
+        }
+        setImmediate(() => this.processInbox());
+    }
+
+    // Reset deliveries that were being handled when the bot went down
+    async recoverInterruptedDeliveries() {
+        try {
+            const result = await db.run(`
+                UPDATE webhook_inbox
+                SET status = 'pending', next_attempt_at = datetime('now')
+                WHERE status = 'processing'
+            `);
+
+            if (result.changes > 0) {
+                console.log(`🔄 Recovered ${result.changes} interrupted webhook deliveries`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to recover interrupted webhook deliveries:', error);
+        }
+    }
+
+    // Process all due deliveries in the inbox
+    async processInbox() {
+        if (this.isDraining) {
+            return; // Previous run still going
+        }
+
+        this.isDraining = true;
+
+        try {
+            const deliveries = await db.all(`
+                SELECT * FROM webhook_inbox
+                WHERE status = 'pending'
+                AND next_attempt_at <= datetime('now')
+                ORDER BY received_at ASC
+                LIMIT 25
+            `);
+
+            if (deliveries.length === 0) {
+                return;
+            }
+
+            console.log(`📬 Processing ${deliveries.length} webhook deliveries...`);
+
+            for (const delivery of deliveries) {
+                await this.processDelivery(delivery);
+            }
+
+        } catch (error) {
+            // Handle database table errors gracefully
+            if (error.message && error.message.includes('no such table')) {
+                console.log('ℹ️ Webhook inbox waiting for database tables to be created...');
+                return;
+            }
+            console.error('❌ Error processing webhook inbox:', error);
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    // Process a single stored delivery
+    async processDelivery(delivery) {
+        try {
+            await db.run(`
+                UPDATE webhook_inbox
+                SET status = 'processing', attempts = attempts + 1
+                WHERE id = ?
+            `, [delivery.id]);
+
+            const payload = JSON.parse(delivery.payload);
+            const result = await this.shopifyWebhooks.handleWebhook(delivery.topic, payload, {
+                verified: true,
+                webhookId: delivery.webhook_id,
+                shopDomain: delivery.shop_domain,
+                completedHandlers: JSON.parse(delivery.completed_handlers || '[]')
+            });
+
+            // Remember which handlers are done, so a retry only re-runs the ones that failed
+            if (result.completedHandlers) {
+                await db.run(`
+                    UPDATE webhook_inbox SET completed_handlers = ? WHERE id = ?
+                `, [JSON.stringify(result.completedHandlers), delivery.id]);
+            }
+
+            if (!result.success) {
+                throw new Error(result.error || 'Webhook handler failed');
+            }
+
+            await db.run(`
+                UPDATE webhook_inbox
+                SET status = 'processed', processed_at = datetime('now'), last_error = NULL
+                WHERE id = ?
+            `, [delivery.id]);
+
+            console.log(`✅ Webhook delivery ${delivery.id} processed (${delivery.topic})`);
+
+        } catch (error) {
+            console.error(`❌ Failed to process webhook delivery ${delivery.id}:`, error);
+            await this.scheduleRetry(delivery, error.message);
+        }
+    }
+
+    // Retry later with exponential backoff, or give up after max attempts
+    async scheduleRetry(delivery, errorMessage) {
+        try {
+            const attempts = (delivery.attempts || 0) + 1;
+
+            if (attempts >= (delivery.max_attempts || 5)) {
+                await db.run(`
+                    UPDATE webhook_inbox
+                    SET status = 'failed', last_error = ?
+                    WHERE id = ?
+                `, [errorMessage, delivery.id]);
+
+                console.error(`❌ Webhook delivery ${delivery.id} failed after ${attempts} attempts`);
+                if (this.logger) {
+                    await this.logger.logError(new Error(errorMessage), `Webhook delivery ${delivery.topic} (${delivery.webhook_id})`);
+                }
+                return;
+            }
+
+            // 1, 2, 4, 8... minutes, capped at one hour
+            const delayMinutes = Math.min(Math.pow(2, attempts - 1), 60);
+
+            await db.run(`
+                UPDATE webhook_inbox
+                SET status = 'pending', last_error = ?, next_attempt_at = datetime('now', ?)
+                WHERE id = ?
+            `, [errorMessage, `+${delayMinutes} minutes`, delivery.id]);
+
+            console.log(`⏳ Webhook delivery ${delivery.id} will retry in ${delayMinutes} minute(s)`);
+
+        } catch (error) {
+            console.error('❌ Failed to schedule webhook retry:', error);
+        }
+    }
+
+    // Get a single delivery by inbox ID
+    async getDelivery(deliveryId) {
+        return await db.get('SELECT * FROM webhook_inbox WHERE id = ?', [deliveryId]);
+    }
+
+    // Get the most recent deliveries
+    async getRecentDeliveries(limit = 10) {
+        return await db.all(`
+            SELECT id, webhook_id, event_id, topic, shop_domain, status, attempts,
+                   duplicate_count, replay_count, received_at, processed_at
+            FROM webhook_inbox
+            ORDER BY received_at DESC, id DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    // Search delivery history by topic, status, webhook/event ID or payload content
+    // (e.g. an order number or product title)
+    async searchDeliveries(query, limit = 10) {
+        const term = (query || '').trim();
+        if (!term) {
+            return await this.getRecentDeliveries(limit);
+        }
+
+        const like = `%${term}%`;
+        return await db.all(`
+            SELECT id, webhook_id, event_id, topic, shop_domain, status, attempts,
+                   duplicate_count, replay_count, received_at, processed_at
+            FROM webhook_inbox
+            WHERE topic LIKE ?
+            OR status = ?
+            OR webhook_id = ?
+            OR event_id = ?
+            OR payload LIKE ?
+            ORDER BY received_at DESC, id DESC
+            LIMIT ?
+        `, [like, term, term, term, like, limit]);
+    }
+
+    // Re-run a stored delivery through every handler, including completed ones (the signature was checked on receipt).
+    // The result lists the handlers that did nothing (e.g. an order that was already announced).
+    async replayDelivery(deliveryId) {
+        const delivery = await this.getDelivery(deliveryId);
+        if (!delivery) {
+            return { success: false, error: 'Delivery not found' };
+        }
+
+        console.log(`🔁 Replaying webhook delivery ${delivery.id} (${delivery.topic})`);
+
+        let result;
+        try {
+            const payload = JSON.parse(delivery.payload);
+            result = await this.shopifyWebhooks.handleWebhook(delivery.topic, payload, {
+                verified: true,
+                webhookId: delivery.webhook_id,
+                shopDomain: delivery.shop_domain
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        await db.run(`
+            UPDATE webhook_inbox
+            SET replay_count = replay_count + 1,
+                last_replayed_at = datetime('now'),
+                status = CASE WHEN ? THEN 'processed' ELSE status END,
+                processed_at = CASE WHEN ? THEN datetime('now') ELSE processed_at END,
+                last_error = ?
+            WHERE id = ?
+        `, [result.success, result.success, result.success ? null : result.error, delivery.id]);
+
+        return { ...result, delivery };
+    }
+
+    // Get inbox statistics
+    async getInboxStats() {
+        try {
+            const stats = await db.get(`
+                SELECT
+                    COUNT(*) as total,
+                    SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+                    SUM(CASE WHEN status = 'processing' THEN 1 ELSE 0 END) as processing,
+                    SUM(CASE WHEN status = 'processed' THEN 1 ELSE 0 END) as processed,
+                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+                FROM webhook_inbox
+            `);
+
+            return {
+                total: stats?.total || 0,
+                pending: stats?.pending || 0,
+                processing: stats?.processing || 0,
+                processed: stats?.processed || 0,
+                failed: stats?.failed || 0
+            };
+        } catch (error) {
+            console.error('❌ Failed to get webhook inbox stats:', error);
+            return { total: 0, pending: 0, processing: 0, processed: 0, failed: 0 };
+        }
+    }
+
+    // Clean up old processed deliveries (older than 30 days)
+    async cleanupOldDeliveries() {
+        try {
+            const result = await db.run(`
+                DELETE FROM webhook_inbox
+                WHERE received_at < datetime('now', '-30 days')
+                AND status = 'processed'
+            `);
+            console.log(`🧹 Cleaned up ${result.changes} old webhook deliveries`);
+
+            return result.changes;
+        } catch (error) {
+            console.error('❌ Failed to cleanup old webhook deliveries:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = WebhookInbox;
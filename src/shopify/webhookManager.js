@@ -0,0 +1,129 @@
+const config = require('../config');
+const ShopifyAPIService = require('./api');
+const shops = require('./shops');
+
+// Privacy topics are configured in the app settings, the Admin API rejects them
+const MANDATORY_TOPICS = ['customers/data_request', 'customers/redact', 'shop/redact'];
+
+// Keeps Shopify's webhook subscriptions in line with the topics the bot handles.
+// Every shop has its own subscriptions, all pointing at the same delivery address.
+class WebhookSubscriptionManager {
+    constructor(shopifyWebhooks, logger) {
+        this.shopifyWebhooks = shopifyWebhooks;
+        this.logger = logger;
+    }
+
+    // Address Shopify should deliver to
+    getWebhookAddress() {
+        if (!config.server.publicUrl) {
+            return null;
+        }
+        return `${config.server.publicUrl.replace(/\/+$/, '')}/webhook`;
+    }
+
+    // Topics the bot has handlers for
+    getHandledTopics() {
+        return this.shopifyWebhooks.registry.getTopics()
+            .filter(topic => !MANDATORY_TOPICS.includes(topic));
+    }
+
+    // Compare a shop's subscriptions with the handled topics
+    async getSubscriptionDiff(shop = shops.getDefaultShop()) {
+        const address = this.getWebhookAddress();
+        const subscriptions = await new ShopifyAPIService(shop).listWebhooks();
+        const handledTopics = this.getHandledTopics();
+
+        const ours = subscriptions.filter(subscription => subscription.address === address);
+        const subscribedTopics = new Set(ours.map(subscription => subscription.topic));
+
+        return {
+            shop: shop.domain,
+            address,
+            handledTopics,
+            // Subscribed and handled
+            active: ours.filter(subscription => handledTopics.includes(subscription.topic)),
+            // Handled but Shopify is not sending them
+            missing: handledTopics.filter(topic => !subscribedTopics.has(topic)),
+            // Sent to the bot but nothing handles them
+            extra: ours.filter(subscription => !handledTopics.includes(subscription.topic)),
+            // Pointing somewhere else (other apps or an old URL), never touched
+            foreign: subscriptions.filter(subscription => subscription.address !== address)
+        };
+    }
+
+    // Diffs for every active shop (a shop that cannot be reached reports its error)
+    async getAllSubscriptionDiffs() {
+        const diffs = [];
+        for (const shop of shops.getShops()) {
+            try {
+                diffs.push(await this.getSubscriptionDiff(shop));
+            } catch (error) {
+                console.error(`❌ Failed to load webhook subscriptions for ${shop.domain}:`, error);
+                diffs.push({ shop: shop.domain, address: this.getWebhookAddress(), error: error.message });
+            }
+        }
+        return diffs;
+    }
+
+    // Create missing subscriptions and remove unhandled ones at the bot's address, shop by shop
+    async syncSubscriptions() {
+        const address = this.getWebhookAddress();
+        if (!address) {
+            throw new Error('PUBLIC_URL is not configured, cannot register webhooks');
+        }
+
+        const results = [];
+        for (const shop of shops.getShops()) {
+            results.push(await this.syncShopSubscriptions(shop, address));
+        }
+
+        const total = key => results.reduce((sum, result) => sum + result[key].length, 0);
+        console.log(`🔗 Webhook subscriptions synced for ${results.length} shop(s): ${total('created')} created, ${total('deleted')} deleted, ${total('errors')} errors`);
+
+        if (this.logger && (total('created') > 0 || total('deleted') > 0 || total('errors') > 0)) {
+            await this.logger.sendStatusUpdate(
+                'Webhook Subscriptions Synced',
+                results.map(result => `${result.shop} — Created: ${result.created.length} • Deleted: ${result.deleted.length} • Errors: ${result.errors.length}`).join('\n'),
+                total('errors') > 0 ? '#ffaa00' : '#00ff00'
+            );
+        }
+
+        return results;
+    }
+
+    // Sync one shop's subscriptions
+    async syncShopSubscriptions(shop, address) {
+        const result = { shop: shop.domain, created: [], deleted: [], errors: [] };
+        const api = new ShopifyAPIService(shop);
+
+        let diff;
+        try {
+            diff = await this.getSubscriptionDiff(shop);
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+
+        for (const topic of diff.missing) {
+            try {
+                await api.createWebhook(topic, address);
+                result.created.push(topic);
+            } catch (error) {
+                result.errors.push(`${topic}: ${error.message}`);
+            }
+        }
+
+        for (const subscription of diff.extra) {
+            try {
+                await api.deleteWebhook(subscription.id);
+                result.deleted.push(subscription.topic);
+            } catch (error) {
+                result.errors.push(`${subscription.topic}: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = WebhookSubscriptionManager;
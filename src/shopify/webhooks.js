@@ -1,26 +1,60 @@
 const crypto = require('crypto');
 const config = require('../config');
 const db = require('../database/db');
+const WebhookTopicRegistry = require('./topicRegistry');
+const OrderNotifier = require('./orderNotifier');
+const shops = require('./shops');
 
 class ShopifyWebhooks {
     constructor(client, logger, messageQueue) {
         this.client = client;
         this.logger = logger;
         this.messageQueue = messageQueue;
-        this.webhookSecret = config.shopify.webhookSecret;
+        this.webhookSecrets = config.shopify.webhookSecrets;
+        this.orderNotifier = new OrderNotifier(client, logger, messageQueue);
+
+        // Topic handlers (feature modules add their own through this.registry)
+        this.registry = new WebhookTopicRegistry();
+        this.registerCoreHandlers();
+    }
+
+    // Register the built-in topic handlers
+    registerCoreHandlers() {
+        this.registry.register(['orders/create', 'orders/updated'], (order, context) => this.handleOrderCreated(order, context), {
+            name: 'order_notifications',
+            description: 'Post paid orders to the notification channel',
+            requiresPaid: true,
+            settingKey: 'orders_enabled' // Shares the "Toggle Orders" switch
+        });
+
+        this.registry.register(['products/create', 'products/update'], async (product, { topic }) => {
+            const action = topic.includes('create') ? 'created' : 'updated';
+            console.log(`📦 Product ${product.title} ${action}`);
+            if (this.logger) {
+                await this.logger.sendStatusUpdate('Product Update', `Product ${product.title} ${action}`, '#4169e1');
+            }
+        }, {
+            name: 'product_status',
+            description: 'Log product changes to the admin channel'
+        });
     }
 
     // Verify webhook signature for security
-    verifyWebhook(body, signature) {
+    // Shopify signs the exact raw request bytes and sends a base64 HMAC-SHA256 digest.
+    // Every active secret is tried so deliveries keep verifying while a secret is rotated.
+    // Pass the delivering shop's secrets; the default shop's secrets are used otherwise.
+    verifyWebhook(rawBody, signature, secrets = this.webhookSecrets) {
         try {
-            const hmac = crypto.createHmac('sha256', this.webhookSecret);
-            hmac.update(body, 'utf8');
-            const expectedSignature = 'sha256=' + hmac.digest('hex');
-            
-            return crypto.timingSafeEqual(
-                Buffer.from(signature),
-                Buffer.from(expectedSignature)
-            );
+            if (!rawBody || !signature || !secrets || secrets.length === 0) {
+                return false;
+            }
+
+            const received = Buffer.from(signature, 'base64');
+
+            return secrets.some(secret => {
+                const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+                return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+            });
         } catch (error) {
             console.error('Webhook verification error:', error);
             if (this.logger) {
@@ -31,33 +65,55 @@ class ShopifyWebhooks {
     }
 
     // Handle order created webhook
-    async handleOrderCreated(orderData) {
+    async handleOrderCreated(orderData, { shopDomain = null } = {}) {
         try {
             console.log('🛍️ Processing new order:', orderData.order_number);
 
-            // Check if order was already processed (prevent duplicates)
-            const isAlreadyProcessed = await db.isOrderProcessed(orderData.id);
-            if (isAlreadyProcessed) {
-                console.log('⚠️ Order already processed, skipping:', orderData.order_number);
-                return;
+            const shop = shops.resolveShop(shopDomain);
+            if (!shop) {
+                console.warn(`⚠️ Order ${orderData.order_number} from unknown shop ${shopDomain}, skipping`);
+                return { skipped: 'unknown shop' };
             }
 
-            // Track order in database
-            await db.trackOrder({
-                id: orderData.id,
-                email: orderData.email,
-                order_number: orderData.order_number,
-                total_price: orderData.total_price,
-                currency: orderData.currency_code,
-                financial_status: orderData.financial_status
-            });
+            // Never announce an order that has already been cancelled
+            if (orderData.cancelled_at) {
+                console.log('⚠️ Order cancelled, skipping:', orderData.order_number);
+                return { skipped: 'order cancelled' };
+            }
 
-            // Mark order as processed
-            await db.markOrderProcessed(orderData.id, orderData.order_number, 'webhook');
+            // Claim the order (prevents duplicates, also against an offline sync announcing it at the same time).
+            // An order whose earlier announcement failed is claimed again, so the inbox retry re-sends it.
+            const claim = await db.claimOrder(orderData.id, orderData.order_number, 'webhook', shop.domain);
+            if (!claim) {
+                console.log('⚠️ Order already processed, skipping:', orderData.order_number);
+                return { skipped: 'order already announced, order notifications are never re-posted' };
+            }
+
+            try {
+                // Track order and line items in database (released again on failure so the inbox retry can claim it)
+                if (claim === 'new') {
+                    try {
+                        await db.trackOrder({
+                            id: orderData.id,
+                            email: orderData.email,
+                            order_number: orderData.order_number,
+                            total_price: orderData.total_price,
+                            currency: orderData.currency_code,
+                            financial_status: orderData.financial_status,
+                            shop_domain: shop.domain
+                        });
+                        await db.trackOrderLineItems(orderData, shop.domain);
+                    } catch (error) {
+                        await db.unmarkOrderProcessed(orderData.id);
+                        throw error;
+                    }
+                }
 
-            // Process each line item
-            for (const lineItem of orderData.line_items) {
-                await this.processOrderLineItem(orderData, lineItem);
+                // Announce the order (one message or one per item, depending on the mode).
+                // A failure reaches the inbox, which retries the delivery.
+                await this.orderNotifier.notifyOrder(orderData, shop);
+            } finally {
+                db.releaseOrderClaim(orderData.id);
             }
 
             // Record analytics
@@ -77,176 +133,15 @@ class ShopifyWebhooks {
         }
     }
 
-    // Process order line item and send notification
-    async processOrderLineItem(orderData, lineItem) {
-        try {
-            // Get product details
-            const product = {
-                id: lineItem.product_id,
-                name: lineItem.name,
-                price: lineItem.price,
-                image_url: lineItem.image_url || null,
-                product_id: lineItem.product_id
-            };
-
-            // Get category for product
-            const category = await this.getProductCategory(product);
-
-            // Create order notification message
-            const { getOrderReactions } = require('../discord/embeds');
-            const orderMessage = `Someone ordered **[${product.name}](https://levellinked.myshopify.com/products/${product.product_id})**!`;
-
-            // Queue notification to channel instead of sending directly
-            if (this.messageQueue) {
-                await this.messageQueue.addMessage({
-                    type: 'order',
-                    target_type: 'channel',
-                    target_id: config.discord.notificationChannelId,
-                    message_data: JSON.stringify({ content: orderMessage }),
-                    priority: 2 // High priority for order notifications
-                });
-                
-                console.log(`✅ Order notification queued for channel`);
-            } else {
-                console.warn('❌ Message queue not available, sending directly');
-                // Fallback to direct sending if message queue is not available
-                const channel = this.client.channels.cache.get(config.discord.notificationChannelId);
-                if (channel) {
-                    const message = await channel.send({ content: orderMessage });
-                    
-                    // Add automatic reactions after 15 seconds
-                    setTimeout(async () => {
-                        try {
-                            const reactions = getOrderReactions();
-                            for (const reaction of reactions) {
-                                await message.react(reaction);
-                            }
-                            console.log(`✅ Added ${reactions.length} reactions to order notification`);
-                        } catch (error) {
-                            console.error('❌ Failed to add reactions:', error);
-                        }
-                    }, 15000); // 15 second delay
-                    
-                    console.log(`✅ Order notification sent to channel (fallback)`);
-                } else {
-                    console.warn('❌ Notification channel not found');
-                }
-            }
-
-            // Mark notification as sent
-            await db.markNotificationSent(orderData.id);
-
-            // Log order processing
-            if (this.logger) {
-                await this.logger.logOrder(orderData, product, category);
-            }
-
-            console.log(`✅ Order notification sent for ${product.name}`);
-
-        } catch (error) {
-            console.error('❌ Error processing order line item:', error);
-            if (this.logger) {
-                await this.logger.logError(error, 'Order line item processing');
-            }
-        }
-    }
-
-    // Create order notification embed
-    async createOrderNotification(orderData, product, category) {
-        const { createOrderEmbed } = require('../discord/embeds');
-        return await createOrderEmbed(orderData, product, category);
-    }
-
-    // Categorize product based on Shopify data
-    async categorizeProduct(lineItem) {
-        try {
-            // Get categories from database
-            const categories = await db.getCategories();
-            
-            // Try to match by product tags first
-            if (lineItem.product_tags && lineItem.product_tags.length > 0) {
-                const tags = lineItem.product_tags.join(',').toLowerCase();
-                
-                for (const category of categories) {
-                    if (category.shopify_tags) {
-                        const categoryTags = category.shopify_tags.toLowerCase().split(',');
-                        if (categoryTags.some(tag => tags.includes(tag.trim()))) {
-                            return category;
-                        }
-                    }
-                }
-            }
-
-            // Try to match by product type
-            if (lineItem.product_type) {
-                const productType = lineItem.product_type.toLowerCase();
-                
-                for (const category of categories) {
-                    if (category.shopify_tags) {
-                        const categoryTags = category.shopify_tags.toLowerCase().split(',');
-                        if (categoryTags.some(tag => productType.includes(tag.trim()))) {
-                            return category;
-                        }
-                    }
-                }
-            }
-
-            // Try to match by collection
-            if (lineItem.collections && lineItem.collections.length > 0) {
-                for (const collection of lineItem.collections) {
-                    for (const category of categories) {
-                        if (category.shopify_collection_id === collection.id) {
-                            return category;
-                        }
-                    }
-                }
-            }
-
-            // Fallback to default category
-            const defaultCategory = categories.find(cat => cat.fallback_category);
-            if (defaultCategory) {
-                return defaultCategory;
-            }
-
-            // If no default category, create a general one
-            return {
-                name: 'General',
-                emoji: '🛒',
-                shopify_tags: '',
-                fallback_category: true
-            };
-
-        } catch (error) {
-            console.error('❌ Error categorizing product:', error);
-            if (this.logger) {
-                await this.logger.logError(error, 'Product categorization');
-            }
-            // Return general category as fallback
-            return {
-                name: 'General',
-                emoji: '🛒',
-                shopify_tags: '',
-                fallback_category: true
-            };
-        }
-    }
-
-    // Get category color for embeds
-    getCategoryColor(categoryName) {
-        const colors = {
-            'Adult Toys': '#ff69b4',
-            'Accessories': '#4169e1',
-            'General': '#00ff00'
-        };
-        
-        return colors[categoryName] || '#00ff00';
-    }
-
     // Generic webhook handler
-    async handleWebhook(topic, body, signature) {
+    // Deliveries coming from the webhook inbox were verified when they were received.
+    // completedHandlers are handlers that already succeeded on an earlier attempt; the
+    // result lists every completed handler so the inbox can remember it for the next retry.
+    async handleWebhook(topic, body, { signature, rawBody, verified = false, webhookId = null, shopDomain = null, completedHandlers = [] } = {}) {
         try {
-            // Verify webhook signature
-            if (!this.verifyWebhook(body, signature)) {
+            // Verify webhook signature against the raw request bytes, using the delivering shop's secrets
+            const shop = shops.resolveShop(shopDomain);
+            if (!verified && (!shop || !this.verifyWebhook(rawBody, signature, shop.webhookSecrets))) {
                 console.warn('❌ Webhook signature verification failed');
                 if (this.logger) {
                     await this.logger.logError(new Error('Invalid webhook signature'), 'Webhook security');
@@ -256,45 +151,27 @@ class ShopifyWebhooks {
 
             console.log(`📡 Processing webhook: ${topic}`);
 
-            // Handle different webhook topics
-            switch (topic) {
-                case 'orders/create':
-                case 'orders/updated':
-                    if (body.financial_status === 'paid') {
-                        await this.handleOrderCreated(body);
-                    } else {
-                        console.log(`⏳ Order ${body.order_number} not paid yet (${body.financial_status})`);
-                        if (this.logger) {
-                            await this.logger.sendStatusUpdate('Order Pending', `Order ${body.order_number} received but not yet paid (${body.financial_status})`, '#ffff00');
-                        }
-                    }
-                    break;
+            // Hand the delivery to every handler registered for this topic
+            const result = await this.registry.dispatch(topic, body, { webhookId, shopDomain }, { completed: completedHandlers });
 
-                case 'orders/fulfilled':
-                    console.log(`✅ Order ${body.order_number} fulfilled`);
-                    // Send notification to main channel just like order created
-                    await this.handleOrderCreated(body);
-                    if (this.logger) {
-                        await this.logger.sendStatusUpdate('Order Fulfilled', `Order ${body.order_number} has been fulfilled`, '#00ff00');
-                    }
-                    break;
-
-                case 'products/create':
-                case 'products/update':
-                    console.log(`📦 Product ${body.title} ${topic.includes('create') ? 'created' : 'updated'}`);
-                    if (this.logger) {
-                        await this.logger.sendStatusUpdate('Product Update', `Product ${body.title} ${topic.includes('create') ? 'created' : 'updated'}`, '#4169e1');
-                    }
-                    break;
+            if (result.matched === 0) {
+                console.log(`ℹ️ No handlers registered for webhook topic: ${topic}`);
+            }
 
-                default:
-                    console.log(`ℹ️ Unhandled webhook topic: ${topic}`);
-                    if (this.logger) {
-                        await this.logger.sendStatusUpdate('Unhandled Webhook', `Received webhook topic: ${topic}`, '#ffa500');
-                    }
+            for (const failure of result.failed) {
+                if (this.logger) {
+                    await this.logger.logError(failure.error, `Webhook handler ${failure.name} (${topic})`);
+                }
             }
 
-            return { success: true };
+            return {
+                success: result.failed.length === 0,
+                error: result.failed.map(failure => `${failure.name}: ${failure.error.message}`).join('; ') || null,
+                handled: result.handled,
+                skipped: result.skipped,
+                skippedHandlers: result.skippedHandlers,
+                completedHandlers: result.completed
+            };
 
         } catch (error) {
             console.error('❌ Webhook processing error:', error);
@@ -318,7 +195,8 @@ class ShopifyWebhooks {
             return {
                 status: 'healthy',
                 lastOrder: lastOrder ? `${lastOrder.order_number} (${lastOrder.created_at})` : 'None',
-                webhookSecret: !!this.webhookSecret,
+                webhookSecret: this.webhookSecrets.length > 0,
+                webhookSecretCount: this.webhookSecrets.length,
                 database: true
             };
         } catch (error) {
@@ -328,7 +206,8 @@ class ShopifyWebhooks {
             return {
                 status: 'unhealthy',
                 error: error.message,
-                webhookSecret: !!this.webhookSecret,
+                webhookSecret: this.webhookSecrets.length > 0,
+                webhookSecretCount: this.webhookSecrets.length,
                 database: false
             };
         }